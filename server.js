@@ -4,15 +4,55 @@ const axios      = require("axios");
 const cors       = require("cors");
 const NodeCache  = require("node-cache");
 const nodemailer = require("nodemailer");
+const cron       = require("node-cron");
+const ExcelJS    = require("exceljs");
+const PDFDocument = require("pdfkit");
 const fs         = require("fs");
+const crypto     = require("crypto");
+const dns        = require("dns");
+const net        = require("net");
+const http       = require("http");
+const https      = require("https");
+const os         = require("os");
 const path       = require("path");
 
 const app   = express();
 const cache = new NodeCache({ stdTTL: 3600 });
 
-app.use(cors());
+// FRONTEND_URL: comma-separated browser origins allowed by CORS (unset = any).
+// Requests without an Origin header (servers, curl) are not affected.
+const CORS_ORIGINS = (process.env.FRONTEND_URL || "").split(",").map(o => o.trim().replace(/\/+$/, "")).filter(Boolean);
+
+app.set("trust proxy", 1);
+app.use(cors({
+  origin:         CORS_ORIGINS.length ? CORS_ORIGINS : true,
+  exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
+}));
+
+// ─────────────────────────────────────────────
+// ERROR ENVELOPE
+// Every 4xx/5xx JSON body goes out as
+//   { error: { code, message, details?, ...context } }
+// Handlers keep writing res.status(n).json({ error: "message", ...context });
+// `code` follows from the status unless the handler sets one.
+// ─────────────────────────────────────────────
+const ERROR_CODES = {
+  400: "bad_request", 401: "unauthorized", 403: "forbidden", 404: "not_found", 409: "conflict",
+  410: "gone", 413: "payload_too_large", 429: "rate_limited", 500: "internal_error", 503: "unavailable",
+};
+
+function errorEnvelope(status, { error, code, ...context }) {
+  return { error: { code: code || ERROR_CODES[status] || (status >= 500 ? "internal_error" : "bad_request"), message: error, ...context } };
+}
+
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 && body && typeof body.error === "string" ? errorEnvelope(res.statusCode, body) : body);
+  next();
+});
 app.use(express.json());
 
+
 // ─────────────────────────────────────────────
 // EMAIL / ALERTS CONFIG
 // Set SMTP_USER and SMTP_PASS in Railway Variables
@@ -20,7 +60,7 @@ app.use(express.json());
 // ─────────────────────────────────────────────
 const SMTP_USER  = process.env.SMTP_USER  || "";
 const SMTP_PASS  = process.env.SMTP_PASS  || "";
-const ALERTS_FILE = path.join(__dirname, "alerts.json");
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join(__dirname, "alerts.json");
 const HAS_SMTP   = !!(SMTP_USER && SMTP_PASS);
 
 const mailer = HAS_SMTP ? nodemailer.createTransport({
@@ -28,15 +68,129 @@ const mailer = HAS_SMTP ? nodemailer.createTransport({
   auth: { user: SMTP_USER, pass: SMTP_PASS },
 }) : null;
 
-// Load/save alerts to JSON file (persists across restarts)
+console.log(`📧 SMTP: ${HAS_SMTP ? "✓ configured" : "✗ not set (alerts will be stored but not emailed)"}`);
+
+// ─────────────────────────────────────────────
+// ALERT STORE
+// ALERTS_FILE holds { schemaVersion, alerts: [...] }. Every write goes
+// through alertTransaction(): transactions run one at a time, are checked
+// against the unique constraints (id; email + loanType) and are written to
+// a temp file that is renamed over the old one, so a crash never leaves a
+// half-written file. Run a single writer process per file.
+// Older files are migrated at boot; the original is kept as <file>.v<N>.bak.
+// ─────────────────────────────────────────────
+const normalizeEmail = email => String(email || "").trim().toLowerCase();
+
+// ALERT_MIGRATIONS[n] takes a version n-1 document to version n
+const ALERT_MIGRATIONS = [
+  null,
+  // 1: bare array → { schemaVersion, alerts }; default rule and status written out
+  doc => ({ alerts: doc.alerts.map(a => ({ rule: "target", status: "active", ...a })) }),
+  // 2: UUID ids (the numeric id is kept as legacyId so links already emailed
+  //    still work), lower-cased emails, one alert per email + loan type
+  doc => {
+    const byKey = new Map();
+    for (const a of doc.alerts) {
+      const alert = { ...a, id: crypto.randomUUID(), legacyId: a.id, email: normalizeEmail(a.email) };
+      const key   = `${alert.email}|${alert.loanType}`;
+      const prev  = byKey.get(key);
+      if (!prev || (alert.updatedAt || alert.createdAt || "") > (prev.updatedAt || prev.createdAt || "")) byKey.set(key, alert);
+    }
+    return { alerts: [...byKey.values()] };
+  },
+];
+const ALERT_SCHEMA_VERSION = ALERT_MIGRATIONS.length - 1;
+
+// Raw file as { schemaVersion, alerts }; a missing file is an empty current store
+function readAlertFile() {
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(ALERTS_FILE, "utf8")); }
+  catch (err) {
+    if (err.code === "ENOENT") return { schemaVersion: ALERT_SCHEMA_VERSION, alerts: [] };
+    throw new Error(`Cannot read ${ALERTS_FILE}: ${err.message}`);
+  }
+  return Array.isArray(raw) ? { schemaVersion: 0, alerts: raw } : raw;
+}
+
 function loadAlerts() {
-  try { return JSON.parse(fs.readFileSync(ALERTS_FILE, "utf8")); }
-  catch { return []; }
+  const doc = readAlertFile();
+  if (doc.schemaVersion !== ALERT_SCHEMA_VERSION) throw new Error(`${ALERTS_FILE} is schema v${doc.schemaVersion}, expected v${ALERT_SCHEMA_VERSION} — restart to migrate`);
+  return doc.alerts;
 }
-function saveAlerts(alerts) {
-  fs.writeFileSync(ALERTS_FILE, JSON.stringify(alerts, null, 2));
+
+// Temp file + fsync + rename, so a crash never leaves a half-written file
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd  = fs.openSync(tmp, "w");
+  try {
+    fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function writeAlertFile(alerts) {
+  writeJsonAtomic(ALERTS_FILE, { schemaVersion: ALERT_SCHEMA_VERSION, alerts });
+}
+
+function checkAlertConstraints(alerts) {
+  const ids = new Set(), pairs = new Set();
+  for (const a of alerts) {
+    const pair = `${a.email}|${a.loanType}`;
+    const dup  = ids.has(a.id) ? `id ${a.id}` : pairs.has(pair) ? `email + loanType (${a.email}, ${a.loanType})` : null;
+    if (dup) {
+      const err = new Error(`Alert store constraint violated: duplicate ${dup}`);
+      err.code  = "ALERT_CONFLICT";
+      throw err;
+    }
+    ids.add(a.id);
+    pairs.add(pair);
+  }
+}
+
+let alertQueue = Promise.resolve();
+
+// Runs fn(alerts) with exclusive write access and saves the array if fn changed it.
+// Mutate `alerts` in place (see removeAlerts); keep slow work (emails, HTTP) outside.
+function alertTransaction(fn) {
+  const run = alertQueue.then(async () => {
+    const alerts = loadAlerts();
+    const before = JSON.stringify(alerts);
+    const result = await fn(alerts);
+    if (JSON.stringify(alerts) !== before) {
+      checkAlertConstraints(alerts);
+      writeAlertFile(alerts);
+    }
+    return result;
+  });
+  alertQueue = run.catch(() => {});
+  return run;
 }
-console.log(`📧 SMTP: ${HAS_SMTP ? "✓ configured" : "✗ not set (alerts will be stored but not emailed)"}`);
+
+// Remove matching alerts in place; returns how many
+function removeAlerts(alerts, match) {
+  const before = alerts.length;
+  for (let i = alerts.length - 1; i >= 0; i--) if (match(alerts[i])) alerts.splice(i, 1);
+  return before - alerts.length;
+}
+
+// Ids in links and routes: the UUID, or the pre-migration numeric id
+const hasId = (alert, id) => id != null && (String(alert.id) === String(id) || (alert.legacyId != null && String(alert.legacyId) === String(id)));
+
+function migrateAlertStore() {
+  const doc = readAlertFile();
+  if (doc.schemaVersion === ALERT_SCHEMA_VERSION) return;
+  if (!(doc.schemaVersion < ALERT_SCHEMA_VERSION)) throw new Error(`${ALERTS_FILE} is schema v${doc.schemaVersion}, newer than this server (v${ALERT_SCHEMA_VERSION})`);
+  fs.copyFileSync(ALERTS_FILE, `${ALERTS_FILE}.v${doc.schemaVersion}.bak`);
+  let migrated = doc;
+  for (let v = doc.schemaVersion + 1; v <= ALERT_SCHEMA_VERSION; v++) migrated = ALERT_MIGRATIONS[v](migrated);
+  checkAlertConstraints(migrated.alerts);
+  writeAlertFile(migrated.alerts);
+  console.log(`🗄️  Migrated ${ALERTS_FILE} from schema v${doc.schemaVersion} to v${ALERT_SCHEMA_VERSION} (${doc.alerts.length} → ${migrated.alerts.length} alerts)`);
+}
+migrateAlertStore();
 
 // ─────────────────────────────────────────────
 // FRED CONFIG
@@ -57,7 +211,8 @@ const FRED_SERIES = {
 };
 
 // ─────────────────────────────────────────────
-// FALLBACK RATES (used when no FRED key set)
+// FALLBACK RATES (the "static" provider — also used
+// whenever a series' provider has no data at all)
 // Update these manually each week if needed
 // ─────────────────────────────────────────────
 const FALLBACK = {
@@ -72,54 +227,421 @@ const FALLBACK = {
 // ─────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────
-function getDateNWeeksAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n * 7);
+// Monthly principal & interest on a fully amortizing loan
+function monthlyPayment(principal, rate, years) {
+  const r = rate / 100 / 12, n = years * 12;
+  return r > 0 ? principal * (r * Math.pow(1+r,n)) / (Math.pow(1+r,n)-1) : principal / n;
+}
+
+// Month-by-month schedule. Optional recurring extra principal, one-time
+// lump sums ({ month: amount }) and biweekly mode — half the payment
+// every two weeks is 26 half-payments, i.e. 13 monthly payments a year,
+// credited monthly here. `premium` is a mortgageInsurance() premium rule.
+function amortize({ principal, rate, term, extra = 0, lumpSums = {}, biweekly = false, premium = () => 0 }) {
+  const r   = rate / 100 / 12;
+  const n   = term * 12;
+  const pi  = monthlyPayment(principal, rate, term);
+  const due = biweekly ? pi * 13 / 12 : pi;
+
+  let balance = principal, yearStart = principal, totalInterest = 0, totalPaid = 0, totalMi = 0, miEndsMonth = null;
+  const rows = [];
+  for (let i = 1; i <= n && balance > 0.005; i++) {
+    if (i % 12 === 1) yearStart = balance;
+    const mi       = premium(i, balance, yearStart);
+    const interest = balance * r;
+    const prn      = Math.min(due - interest, balance);
+    const add      = Math.max(0, Math.min(extra + (lumpSums[i] || 0), balance - prn));
+    if (mi === 0 && totalMi > 0 && miEndsMonth === null) miEndsMonth = i;  // first month without MI
+    balance       -= prn + add;
+    totalInterest += interest;
+    totalMi       += mi;
+    totalPaid     += prn + interest + add + mi;
+    rows.push({ month:i, payment:+(prn+interest).toFixed(2), principal:+prn.toFixed(2), interest:+interest.toFixed(2), extra:+add.toFixed(2), mi:+mi.toFixed(2), balance:+Math.max(0,balance).toFixed(2) });
+  }
+  return { payment: pi, rows, months: rows.length, totalInterest, totalMi, miEndsMonth, totalPaid };
+}
+
+// "YYYY-MM" `months` after a "YYYY-MM" start
+function addMonths(ym, months) {
+  const [y, m] = ym.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + months, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+function shiftDate(dateStr, days) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
   return d.toISOString().split("T")[0];
 }
 
-async function fetchFredSeries(seriesId) {
-  const cacheKey = `fred_${seriesId}`;
-  const cached   = cache.get(cacheKey);
-  if (cached) return cached;
+// ─────────────────────────────────────────────
+// RATE STORE
+// Every observation of the FRED_SERIES is kept on disk as
+// append-only JSONL, one file per series. Later lines win, so
+// FRED revisions are simply appended. Point RATE_STORE_DIR at a
+// Railway volume to keep it across deploys.
+// One-time backfill:  npm run backfill
+// ─────────────────────────────────────────────
+const STORE_DIR      = process.env.RATE_STORE_DIR || path.join(__dirname, "rate-store");
+const BACKFILL_START = process.env.BACKFILL_START || "1950-01-01";
+const store = {};  // seriesId → { byDate: Map(date → value), sorted: [{date,value}] | null }
 
-  // No key → return fallback immediately
-  if (!HAS_KEY) {
-    const key = Object.keys(FRED_SERIES).find(k => FRED_SERIES[k] === seriesId);
-    const fb  = FALLBACK[key] || { value: 6.75, change: 0, date: "2026-02-20" };
-    const result = { seriesId, ...fb, history: [{ date: fb.date, value: fb.value }] };
-    cache.set(cacheKey, result);
-    return result;
+function storeFile(seriesId) {
+  return path.join(STORE_DIR, `${seriesId}.jsonl`);
+}
+
+function loadSeries(seriesId) {
+  if (store[seriesId]) return store[seriesId];
+  const byDate = new Map();
+  try {
+    for (const line of fs.readFileSync(storeFile(seriesId), "utf8").split("\n")) {
+      if (!line) continue;
+      try { const o = JSON.parse(line); byDate.set(o.date, o.value); }
+      catch { /* torn last line from a crash — skip it */ }
+    }
+  } catch { /* no file yet */ }
+  store[seriesId] = { byDate, sorted: null };
+  return store[seriesId];
+}
+
+// Stored observations in ascending date order, optionally from `start` (inclusive)
+function getObservations(seriesId, start) {
+  const s = loadSeries(seriesId);
+  if (!s.sorted) {
+    s.sorted = [...s.byDate].map(([date, value]) => ({ date, value })).sort((a,b) => a.date < b.date ? -1 : 1);
   }
+  return start ? s.sorted.filter(o => o.date >= start) : s.sorted;
+}
+
+function lastObservation(seriesId) {
+  const obs = getObservations(seriesId);
+  return obs[obs.length - 1] || null;
+}
+
+// Append new or revised observations; returns how many were written
+function appendObservations(seriesId, obs) {
+  const s     = loadSeries(seriesId);
+  const fresh = obs.filter(o => s.byDate.get(o.date) !== o.value);
+  if (!fresh.length) return 0;
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+  fs.appendFileSync(storeFile(seriesId), fresh.map(o => JSON.stringify({ date:o.date, value:o.value }) + "\n").join(""));
+  for (const o of fresh) s.byDate.set(o.date, o.value);
+  s.sorted = null;
+  return fresh.length;
+}
+
+// ─────────────────────────────────────────────
+// RATE PROVIDERS
+// Each series is served by exactly one provider:
+//   RATE_PROVIDER=fred|record|replay|file|store|static   (default for all series)
+//   RATE_PROVIDERS=MORTGAGE30US:file,DGS10:replay         (per-series overrides)
+// fred    live FRED API, synced into the store
+// record  same as fred, and saves the raw FRED responses to RATE_RECORDINGS_DIR
+// replay  serves responses saved by `record` — no network (staging / CI)
+// file    analyst-supplied <seriesId>.csv or .json in RATE_FILES_DIR
+// store   whatever the store already holds (offline, no syncing)
+// static  the FALLBACK constants above
+// ─────────────────────────────────────────────
+const RATE_FILES_DIR      = process.env.RATE_FILES_DIR      || path.join(__dirname, "rate-files");
+const RATE_RECORDINGS_DIR = process.env.RATE_RECORDINGS_DIR || path.join(__dirname, "rate-recordings");
 
+async function fredRequest(seriesId, start, timeout) {
   const { data } = await axios.get(FRED_BASE, {
     params: {
       series_id:         seriesId,
       api_key:           FRED_API_KEY,
       file_type:         "json",
-      sort_order:        "desc",
-      observation_start: getDateNWeeksAgo(8),
-      limit:             10,
+      sort_order:        "asc",
+      observation_start: start,
+      limit:             100000,
+    },
+    timeout,
+  });
+  return data;
+}
+
+function parseFredObservations(data, start) {
+  return data.observations
+    .filter(o => o.value !== "." && (!start || o.date >= start))
+    .map(o => ({ date: o.date, value: parseFloat(o.value) }));
+}
+
+function recordingFile(seriesId) {
+  return path.join(RATE_RECORDINGS_DIR, `${seriesId}.json`);
+}
+
+// Merge raw FRED observations into the series recording (later responses win)
+function saveRecording(seriesId, data) {
+  let recorded = { observations: [] };
+  try { recorded = JSON.parse(fs.readFileSync(recordingFile(seriesId), "utf8")); } catch { /* first recording */ }
+  const byDate = new Map(recorded.observations.map(o => [o.date, o]));
+  for (const o of data.observations) byDate.set(o.date, o);
+  const observations = [...byDate.values()].sort((a,b) => a.date < b.date ? -1 : 1);
+  fs.mkdirSync(RATE_RECORDINGS_DIR, { recursive: true });
+  fs.writeFileSync(recordingFile(seriesId), JSON.stringify({ ...data, series_id: seriesId, recorded_at: new Date().toISOString(), observations }, null, 2));
+}
+
+// <seriesId>.csv ("date,value" — FRED's CSV download works as-is) or
+// <seriesId>.json ([{date,value}] or a raw FRED response)
+function readRateFile(seriesId, start) {
+  const csvFile  = path.join(RATE_FILES_DIR, `${seriesId}.csv`);
+  const jsonFile = path.join(RATE_FILES_DIR, `${seriesId}.json`);
+  let obs;
+  if (fs.existsSync(csvFile)) {
+    obs = fs.readFileSync(csvFile, "utf8").split(/\r?\n/)
+      .map(line => line.split(",").map(c => c.trim().replace(/^"|"$/g, "")))
+      .filter(([date, value]) => /^\d{4}-\d{2}-\d{2}$/.test(date) && value !== "" && !isNaN(parseFloat(value)))
+      .map(([date, value]) => ({ date, value: parseFloat(value) }));
+  } else if (fs.existsSync(jsonFile)) {
+    const json = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+    obs = (Array.isArray(json) ? json : json.observations || [])
+      .filter(o => o.value !== "." && o.value !== null && o.value !== "")
+      .map(o => ({ date: o.date, value: parseFloat(o.value) }));
+  } else {
+    return [];
+  }
+  return obs
+    .filter(o => !start || o.date >= start)
+    .sort((a,b) => a.date < b.date ? -1 : 1);
+}
+
+// Two points so `change` matches the hand-maintained FALLBACK value
+function staticObservations(seriesId) {
+  const key = Object.keys(FRED_SERIES).find(k => FRED_SERIES[k] === seriesId);
+  const fb  = FALLBACK[key] || { value: 6.75, change: 0, date: "2026-02-20" };
+  return [
+    { date: shiftDate(fb.date, -7), value: +(fb.value - fb.change).toFixed(3) },
+    { date: fb.date,                value: fb.value },
+  ];
+}
+
+// A provider is { name, source, live, persist, history, fetch(seriesId, start) → [{date,value}] ascending }.
+// persist: observations go through the store. history: false when there is no real history.
+const PROVIDERS = {
+  fred: {
+    name: "fred", source: "Federal Reserve Economic Data (FRED) / Freddie Mac", live: true, persist: true, history: true,
+    fetch: async (seriesId, start, timeout) => parseFredObservations(await fredRequest(seriesId, start, timeout)),
+  },
+  record: {
+    name: "record", source: "Federal Reserve Economic Data (FRED) / Freddie Mac", live: true, persist: true, history: true,
+    fetch: async (seriesId, start, timeout) => {
+      const data = await fredRequest(seriesId, start, timeout);
+      saveRecording(seriesId, data);
+      return parseFredObservations(data);
+    },
+  },
+  replay: {
+    name: "replay", source: "Recorded FRED responses (replay)", live: false, persist: false, history: true,
+    fetch: async (seriesId, start) => {
+      try { return parseFredObservations(JSON.parse(fs.readFileSync(recordingFile(seriesId), "utf8")), start); }
+      catch { return []; }
     },
-    timeout: 10000,
+  },
+  file: {
+    name: "file", source: "Local rate sheet", live: false, persist: false, history: true,
+    fetch: async (seriesId, start) => readRateFile(seriesId, start),
+  },
+  store: {
+    name: "store", source: "Stored FRED observations (offline)", live: false, persist: false, history: true,
+    fetch: async (seriesId, start) => getObservations(seriesId, start),
+  },
+  static: {
+    name: "static", source: "Built-in fallback rates (set FRED_API_KEY for live data)", live: false, persist: false, history: false,
+    fetch: async (seriesId) => staticObservations(seriesId),
+  },
+};
+
+const DEFAULT_PROVIDER   = process.env.RATE_PROVIDER || (HAS_KEY ? "fred" : "store");
+const PROVIDER_OVERRIDES = Object.fromEntries(
+  (process.env.RATE_PROVIDERS || "").split(",").filter(Boolean).map(pair => pair.split(":").map(x => x.trim()))
+);
+
+function providerFor(seriesId) {
+  return PROVIDERS[PROVIDER_OVERRIDES[seriesId] || DEFAULT_PROVIDER];
+}
+
+// Fail at boot rather than on the first request
+for (const seriesId of Object.values(FRED_SERIES)) {
+  const name = PROVIDER_OVERRIDES[seriesId] || DEFAULT_PROVIDER;
+  if (!PROVIDERS[name]) throw new Error(`Unknown rate provider "${name}" for ${seriesId} (valid: ${Object.keys(PROVIDERS).join(", ")})`);
+  if (PROVIDERS[name].live && !HAS_KEY) throw new Error(`Rate provider "${name}" for ${seriesId} needs FRED_API_KEY`);
+}
+console.log(`📚 Rate providers: ${Object.values(FRED_SERIES).map(id => `${id}=${providerFor(id).name}`).join(", ")}`);
+
+const RECENT_SYNC_DAYS = 11 * 366;  // empty-store sync window — covers the longest /api/rate-history period
+const backfilling      = new Set();  // series with a background backfill started by this process
+
+// Pull observations from the series' provider into the store. Incremental
+// by default: re-reads the last 4 weeks so revisions land too. An empty
+// store (fresh deploy) gets only the last RECENT_SYNC_DAYS so requests are
+// not held up, and the rest is backfilled in the background. `full` (npm
+// run backfill) pulls everything since BACKFILL_START.
+async function syncSeries(seriesId, { full = false } = {}) {
+  const provider = providerFor(seriesId);
+  if (!provider.persist) return 0;
+  if (full) return appendObservations(seriesId, await provider.fetch(seriesId, BACKFILL_START, 60000));
+  const last    = lastObservation(seriesId);
+  const start   = last ? shiftDate(last.date, -28) : shiftDate(new Date().toISOString().split("T")[0], -RECENT_SYNC_DAYS);
+  const written = appendObservations(seriesId, await provider.fetch(seriesId, start, 10000));
+  if (!last) backfillInBackground(seriesId);
+  return written;
+}
+
+// One full sync per series per process, off the request path
+function backfillInBackground(seriesId) {
+  if (backfilling.has(seriesId)) return;
+  backfilling.add(seriesId);
+  setImmediate(() => {
+    syncSeries(seriesId, { full: true })
+      .then(written => console.log(`📥 Background backfill ${seriesId}: ${written} observations`))
+      .catch(err => console.error(`background backfill ${seriesId} failed:`, err.message));
   });
+}
+
+// Observations (ascending) from the series' provider, falling back to
+// the static rates when it has nothing. Does not sync.
+async function readSeries(seriesId, start) {
+  const provider = providerFor(seriesId);
+  const obs = provider.persist ? getObservations(seriesId, start) : await provider.fetch(seriesId, start);
+  if (obs.length || provider === PROVIDERS.static) return { obs, provider };
+  return { obs: await PROVIDERS.static.fetch(seriesId, start), provider: PROVIDERS.static };
+}
+
+// ─────────────────────────────────────────────
+// RESILIENT FETCHING
+// - concurrent requests for one series share a single refresh
+// - an expired series is served from the last good result (stale: true)
+//   while it refreshes in the background
+// - live providers retry with exponential backoff, behind a per-provider
+//   circuit breaker; when it is open we serve the last stored data
+// ─────────────────────────────────────────────
+const RETRY_ATTEMPTS      = parseInt(process.env.FETCH_RETRY_ATTEMPTS || "3");
+const RETRY_BASE_MS       = parseInt(process.env.FETCH_RETRY_BASE_MS  || "500");
+const BREAKER_THRESHOLD   = parseInt(process.env.BREAKER_THRESHOLD    || "3");
+const BREAKER_COOLDOWN_MS = parseInt(process.env.BREAKER_COOLDOWN_SEC || "120") * 1000;
+const STALE_TTL           = 60;  // seconds to cache a degraded result before trying again
+
+const inflight = new Map();  // seriesId → Promise of the running refresh
+const lastGood = new Map();  // seriesId → last result we built
+const breakers = {};         // provider name → { failures, openUntil }
+
+function breakerFor(name) {
+  return breakers[name] || (breakers[name] = { failures: 0, openUntil: 0 });
+}
+
+// Retry with jittered exponential backoff; fn gets the attempt number.
+// Errors flagged `permanent` are not retried.
+async function withRetry(fn, { attempts = RETRY_ATTEMPTS, baseMs = RETRY_BASE_MS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= attempts || err.permanent) throw err;
+      const delay = baseMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+// Run a live provider call through the breaker (closed → open → half-open)
+async function guarded(provider, fn) {
+  if (!provider.live) return fn();
+  const breaker = breakerFor(provider.name);
+  if (breaker.openUntil > Date.now()) throw new Error(`circuit open for ${provider.name} until ${new Date(breaker.openUntil).toISOString()}`);
+  try {
+    const result = await withRetry(fn);
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    return result;
+  } catch (err) {
+    breaker.failures++;
+    // A failed half-open trial reopens straight away
+    if (breaker.failures >= BREAKER_THRESHOLD) breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    throw err;
+  }
+}
+
+function refreshSeries(seriesId) {
+  if (inflight.has(seriesId)) return inflight.get(seriesId);
+
+  const refresh = (async () => {
+    const provider = providerFor(seriesId);
+    let failure = null;
+    try {
+      await guarded(provider, () => syncSeries(seriesId));
+    } catch (err) {
+      failure = err;
+      console.error(`${provider.name} sync ${seriesId} failed — serving last known data:`, err.message);
+    }
+
+    const { obs, provider: used } = await readSeries(seriesId);
+    if (!obs.length) throw new Error(`No data for ${seriesId}`);
+
+    const recent = obs.slice(-8).reverse();
+    const latest = recent[0];
+    const prev   = recent[1] || latest;
+    const degraded = !!failure || (used !== provider);
+
+    const result = {
+      seriesId,
+      value:    latest.value,
+      change:   parseFloat((latest.value - prev.value).toFixed(3)),
+      date:     latest.date,
+      history:  recent,
+      provider: used.name,
+      source:   failure && used === provider ? `${used.source} (last stored observation — refresh failed)` : used.source,
+      live:     used.live && !failure,
+      stale:    degraded,
+    };
+
+    cache.set(`fred_${seriesId}`, result, degraded ? STALE_TTL : 3600);
+    const previous = lastGood.get(seriesId);
+    lastGood.set(seriesId, result);
+    if (previous && result.date > previous.date) publishRateUpdate(previous, result);
+    return result;
+  })().finally(() => inflight.delete(seriesId));
 
-  const obs = data.observations.filter(o => o.value !== ".");
-  if (!obs.length) throw new Error(`No data for ${seriesId}`);
+  inflight.set(seriesId, refresh);
+  return refresh;
+}
+
+async function fetchFredSeries(seriesId) {
+  const cached = cache.get(`fred_${seriesId}`);
+  if (cached) return cached;
 
-  const latest = obs[0];
-  const prev   = obs[1] || latest;
+  // Stale-while-revalidate: answer now, refresh in the background
+  const last = lastGood.get(seriesId);
+  if (last) {
+    refreshSeries(seriesId).catch(err => console.error(`background refresh ${seriesId} failed:`, err.message));
+    return { ...last, stale: true };
+  }
+  return refreshSeries(seriesId);
+}
 
-  const result = {
-    seriesId,
-    value:  parseFloat(latest.value),
-    change: parseFloat((latest.value - prev.value).toFixed(3)),
-    date:   latest.date,
-    history: obs.slice(0, 8).map(o => ({ date: o.date, value: parseFloat(o.value) })),
+// Combined metadata for a response built from several series
+function seriesMeta(...series) {
+  return {
+    source: [...new Set(series.map(s => s.source))].join(" + "),
+    live:   series.every(s => s.live && !s.stale),
+    stale:  series.some(s => s.stale),
   };
+}
 
-  cache.set(cacheKey, result);
-  return result;
+// Whole-response cache TTL: degraded responses are retried sooner
+function responseTtl(...series) {
+  return series.some(s => s.stale) ? STALE_TTL : 3600;
+}
+
+async function backfillAll() {
+  for (const seriesId of Object.values(FRED_SERIES)) {
+    const provider = providerFor(seriesId);
+    if (!provider.persist) {
+      console.log(`  ${seriesId}: skipped (provider "${provider.name}" is not stored)`);
+      continue;
+    }
+    const written = await syncSeries(seriesId, { full: true });
+    console.log(`  ${seriesId}: ${written} new observations (${getObservations(seriesId).length} stored)`);
+  }
 }
 
 function deriveRates(base30) {
@@ -136,9 +658,10 @@ function deriveRates(base30) {
 
 function buildRatesResponse(r30, r15, rArm, t10, fedFunds, prime) {
   const d = deriveRates(r30.value);
+  // Same reference loan and points as /api/today-rates: $400k home, 20% down
+  const apr30 = (loanType, rate, points) => programApr({ loanType, baseLoan: 320000, value: 400000, rate, term: 30, points });
   return {
-    source:    HAS_KEY ? "Federal Reserve Economic Data (FRED) / Freddie Mac" : "Built-in fallback rates (set FRED_API_KEY for live data)",
-    live:      HAS_KEY,
+    ...seriesMeta(r30, r15, t10, fedFunds, prime),
     updatedAt: new Date().toISOString(),
     asOf:      r30.date,
     mortgage: {
@@ -150,11 +673,11 @@ function buildRatesResponse(r30, r15, rArm, t10, fedFunds, prime) {
     },
     byLoanType: {
       conventional: { rate30: r30.value,      rate15: r15.value },
-      fha:          { rate30: d.rate_fha30,   apr30: +(d.rate_fha30  + 0.15).toFixed(2) },
-      va:           { rate30: d.rate_va30,    apr30: +(d.rate_va30   + 0.10).toFixed(2) },
-      usda:         { rate30: d.rate_usda30,  apr30: +(d.rate_usda30 + 0.12).toFixed(2) },
-      jumbo:        { rate30: d.rate_jumbo30, apr30: +(d.rate_jumbo30 + 0.15).toFixed(2) },
-      cashout_refi: { rate30: d.rate_cashout, apr30: +(d.rate_cashout + 0.15).toFixed(2) },
+      fha:          { rate30: d.rate_fha30,   apr30: apr30("fha",          d.rate_fha30,   0.5) },
+      va:           { rate30: d.rate_va30,    apr30: apr30("va",           d.rate_va30,    0.3) },
+      usda:         { rate30: d.rate_usda30,  apr30: apr30("usda",         d.rate_usda30,  0.4) },
+      jumbo:        { rate30: d.rate_jumbo30, apr30: apr30("conventional", d.rate_jumbo30, 0.8) },
+      cashout_refi: { rate30: d.rate_cashout, apr30: apr30("conventional", d.rate_cashout, 0.7) },
     },
     benchmarks: {
       treasury_10yr: { value: t10.value,      change: t10.change,      date: t10.date      },
@@ -170,686 +693,3901 @@ function buildRatesResponse(r30, r15, rArm, t10, fedFunds, prime) {
 }
 
 // ─────────────────────────────────────────────
-// LOGGER
+// PRICING ENGINE (loan-level price adjustments)
+// FICO × LTV grid plus occupancy, property type, units, purpose,
+// cash-out, loan size and state adjusters, all read from
+// config/pricing.json (PRICING_FILE) and reloaded when it changes.
+// Shared by /api/lender-quotes, /api/today-rates and /api/calculate.
 // ─────────────────────────────────────────────
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
-  next();
-});
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, "config", "pricing.json");
+const configCache  = {};  // file → { mtime, data }
 
-// ─────────────────────────────────────────────
-// ROUTES
-// ─────────────────────────────────────────────
+// Parse a JSON config file, re-reading it only when it changes on disk
+function loadConfig(file) {
+  const mtime  = fs.statSync(file).mtimeMs;
+  const cached = configCache[file];
+  if (cached && cached.mtime === mtime) return cached.data;
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  configCache[file] = { mtime, data };
+  return data;
+}
 
-app.get("/", (req, res) => {
-  res.json({
-    service:  "RateCroft Rates API",
-    version:  "1.0.0",
-    live:     HAS_KEY,
-    fred_key: HAS_KEY ? "✓ set" : "✗ missing — using fallback rates",
-    endpoints: [
-      "GET /api/rates",
-      "GET /api/rates/summary",
-      "GET /api/rates/30yr | 15yr | arm51 | treasury10 | fedfunds | prime",
-      "GET /api/calculate",
-      "GET /api/affordability",
-      "GET /api/refinance",
-      "GET /api/health",
-    ],
-  });
-});
+function loadPricing() {
+  return loadConfig(PRICING_FILE);
+}
 
-// ── /api/rates
-app.get("/api/rates", async (req, res) => {
-  try {
-    const cached = cache.get("all_rates");
-    if (cached) return res.json(cached);
+const BORROWER_PARAMS = ["creditScore", "price", "down", "state", "county", "zip", "purpose", "occupancy", "propertyType", "units"];
 
-    const [r30, r15, t10, fedFunds, prime] = await Promise.all([
-      fetchFredSeries(FRED_SERIES.rate_30yr),
-      fetchFredSeries(FRED_SERIES.rate_15yr),
-      fetchFredSeries(FRED_SERIES.treasury10),
-      fetchFredSeries(FRED_SERIES.fed_funds),
-      fetchFredSeries(FRED_SERIES.prime_rate),
-    ]);
-    // Derive 5/1 ARM from 30yr (MORTGAGE5US discontinued Nov 2022)
-    const rArm = { seriesId:'derived', value:+(r30.value-0.55).toFixed(2), change:r30.change, date:r30.date, history:[] };
+// Borrower and loan attributes from a query string, with per-endpoint defaults
+function borrowerFrom(q, defaults = {}) {
+  const price = parseFloat(q.price ?? defaults.price ?? 400000);
+  const down  = parseFloat(q.down  ?? defaults.down  ?? 80000);
+  const state = q.state ?? defaults.state;
+  return {
+    creditScore:  parseInt(q.creditScore ?? defaults.creditScore ?? 760),
+    price, down,
+    loanAmount:   price - down,
+    ltv:          (price - down) / price * 100,
+    state:        state && state !== "national" ? String(state).toUpperCase().slice(0,2) : null,
+    purpose:      q.purpose      || defaults.purpose || "purchase",
+    occupancy:    q.occupancy    || "primary",
+    propertyType: q.propertyType || "single_family",
+    units:        String(q.units || 1),
+    county:       q.county || null,
+    zip:          q.zip    || null,
+  };
+}
 
-    const response = buildRatesResponse(r30, r15, rArm, t10, fedFunds, prime);
-    cache.set("all_rates", response, 3600);
-    res.json(response);
-  } catch (err) {
-    console.error("GET /api/rates error:", err.message);
-    res.status(500).json({ error: err.message });
+// First unknown attribute as { error, valid }, or null
+function pricingError(b) {
+  const grid = loadPricing();
+  for (const field of ["purpose", "occupancy", "propertyType", "units"]) {
+    if (!(b[field] in grid[field])) return { error: `Unknown ${field}`, valid: Object.keys(grid[field]) };
   }
-});
+  return null;
+}
 
-// ── /api/rates/summary
-app.get("/api/rates/summary", async (req, res) => {
-  try {
-    const cached = cache.get("summary");
-    if (cached) return res.json(cached);
+// Index of the first band whose upper bound covers `value` (last band catches the rest)
+function bandIndex(bounds, value) {
+  const i = bounds.findIndex(max => value <= max);
+  return i === -1 ? bounds.length - 1 : i;
+}
 
-    const [r30, r15, t10] = await Promise.all([
-      fetchFredSeries(FRED_SERIES.rate_30yr),
-      fetchFredSeries(FRED_SERIES.rate_15yr),
-      fetchFredSeries(FRED_SERIES.treasury10),
-    ]);
-    const rArm = { value:+(r30.value-0.55).toFixed(2), change:r30.change };
-    const d = deriveRates(r30.value);
+// Itemized rate adjustments for a borrower: { total, adjustments: [{ name, label, value }] }
+function priceAdjustments(b) {
+  const grid  = loadPricing();
+  const items = [];
+  const add   = (name, label, value) => items.push({ name, label, value });
 
-    const response = {
-      live:      HAS_KEY,
-      updatedAt: new Date().toISOString(),
-      asOf:      r30.date,
-      rates: [
-        { label: "30-Yr Fixed",    value: r30.value,      change: r30.change,  unit: "%" },
-        { label: "15-Yr Fixed",    value: r15.value,      change: r15.change,  unit: "%" },
-        { label: "20-Yr Fixed",    value: d.rate_20yr,    change: null,        unit: "%" },
-        { label: "5/1 ARM",        value: rArm.value,     change: rArm.change, unit: "%" },
-        { label: "FHA 30-Yr",      value: d.rate_fha30,   change: null,        unit: "%" },
-        { label: "VA 30-Yr",       value: d.rate_va30,    change: null,        unit: "%" },
-        { label: "Jumbo 30-Yr",    value: d.rate_jumbo30, change: null,        unit: "%" },
-        { label: "10-Yr Treasury", value: t10.value,      change: t10.change,  unit: "%" },
-      ],
-    };
+  const rows = grid.ficoLtv.rows;
+  const row  = rows.find(r => b.creditScore >= r.minScore) || rows[rows.length - 1];
+  const col  = bandIndex(grid.ficoLtv.ltvMax, b.ltv);
+  add("fico_ltv", `FICO ${row.minScore}+ × LTV ≤${grid.ficoLtv.ltvMax[col]}%`, row.adj[col]);
 
-    cache.set("summary", response, 3600);
-    res.json(response);
-  } catch (err) {
-    console.error("GET /api/rates/summary error:", err.message);
-    res.status(500).json({ error: err.message });
+  add("occupancy",     b.occupancy,                                    grid.occupancy[b.occupancy]);
+  add("property_type", b.propertyType,                                 grid.propertyType[b.propertyType]);
+  add("units",         `${b.units} unit${b.units === "1" ? "" : "s"}`, grid.units[b.units]);
+  add("purpose",       b.purpose,                                      grid.purpose[b.purpose]);
+  if (b.purpose === "cashout") {
+    const i = bandIndex(grid.cashoutLtv.ltvMax, b.ltv);
+    add("cashout_ltv", `Cash-out LTV ≤${grid.cashoutLtv.ltvMax[i]}%`, grid.cashoutLtv.adj[i]);
   }
-});
 
-// ── /api/rates/today — Bankrate-style full daily rates table
-app.get("/api/today-rates", async (req, res) => {
-  try {
-    const cached = cache.get("today_rates");
-    if (cached) return res.json(cached);
+  const size = grid.loanSize.find(t => t.max === null || b.loanAmount <= t.max);
+  add("loan_size", size.max === null ? "Standard loan size" : `Loan ≤ $${size.max.toLocaleString("en-US")}`, size.adj);
+  if (b.state) add("state", b.state, grid.state[b.state] ?? grid.state.default);
 
-    const [r30, r15, t10, fedFunds, prime] = await Promise.all([
-      fetchFredSeries(FRED_SERIES.rate_30yr),
-      fetchFredSeries(FRED_SERIES.rate_15yr),
-      fetchFredSeries(FRED_SERIES.treasury10),
-      fetchFredSeries(FRED_SERIES.fed_funds),
-      fetchFredSeries(FRED_SERIES.prime_rate),
-    ]);
-    // Derive 5/1 ARM from 30yr (MORTGAGE5US discontinued Nov 2022)
-    const rArm = { seriesId:'derived', value:+(r30.value-0.55).toFixed(2), change:r30.change, date:r30.date, history:[] };
+  const total = +items.reduce((sum, i) => sum + i.value, 0).toFixed(3);
+  return { total, adjustments: items };
+}
 
-    const b = r30.value;
-    const pmt = (principal, rate, years) => {
-      const r = rate/100/12, n = years*12;
-      return r > 0 ? principal*(r*Math.pow(1+r,n))/(Math.pow(1+r,n)-1) : principal/n;
-    };
-    const loan = 320000; // $400k home, 20% down
+// Itemized adjustments folded into the original /api/lender-quotes
+// `adjustments` shape. The FICO × LTV grid cell counts as `credit`, so
+// `ltv` only carries the cash-out LTV band.
+function adjustmentSummary(items) {
+  const sum = name => +items.filter(i => i.name === name).reduce((total, i) => total + i.value, 0).toFixed(3);
+  return { state: sum("state"), credit: sum("fico_ltv"), ltv: sum("cashout_ltv"), purpose: sum("purpose") };
+}
 
-    const rows = [
-      { type:"30-Year Fixed",      rate: b,                         term:30, apr:+(b+0.14).toFixed(2),              points:0.7, category:"fixed", minDown:"3%",   minCredit:620 },
-      { type:"20-Year Fixed",      rate:+(b-0.25).toFixed(2),       term:20, apr:+(b-0.25+0.12).toFixed(2),         points:0.6, category:"fixed", minDown:"5%",   minCredit:620 },
-      { type:"15-Year Fixed",      rate: r15.value,                 term:15, apr:+(r15.value+0.11).toFixed(2),      points:0.6, category:"fixed", minDown:"3%",   minCredit:620 },
-      { type:"10-Year Fixed",      rate:+(b-0.50).toFixed(2),       term:10, apr:+(b-0.50+0.10).toFixed(2),         points:0.5, category:"fixed", minDown:"5%",   minCredit:620 },
-      { type:"5/1 ARM",            rate: rArm.value,                term:30, apr:+(rArm.value+0.12).toFixed(2),     points:0.5, category:"arm",   minDown:"5%",   minCredit:640 },
-      { type:"7/1 ARM",            rate:+(b-0.40).toFixed(2),       term:30, apr:+(b-0.40+0.11).toFixed(2),         points:0.5, category:"arm",   minDown:"5%",   minCredit:640 },
-      { type:"10/1 ARM",           rate:+(b-0.20).toFixed(2),       term:30, apr:+(b-0.20+0.10).toFixed(2),         points:0.4, category:"arm",   minDown:"5%",   minCredit:640 },
-      { type:"30-Year FHA",        rate:+(b-0.25).toFixed(2),       term:30, apr:+(b-0.25+0.15).toFixed(2),         points:0.5, category:"fha",   minDown:"3.5%", minCredit:580 },
-      { type:"15-Year FHA",        rate:+(r15.value-0.20).toFixed(2),term:15,apr:+(r15.value-0.20+0.14).toFixed(2),points:0.4, category:"fha",   minDown:"3.5%", minCredit:580 },
-      { type:"30-Year VA",         rate:+(b-0.50).toFixed(2),       term:30, apr:+(b-0.50+0.10).toFixed(2),         points:0.3, category:"va",    minDown:"0%",   minCredit:580 },
-      { type:"15-Year VA",         rate:+(r15.value-0.40).toFixed(2),term:15,apr:+(r15.value-0.40+0.09).toFixed(2),points:0.3, category:"va",    minDown:"0%",   minCredit:580 },
-      { type:"30-Year USDA",       rate:+(b-0.30).toFixed(2),       term:30, apr:+(b-0.30+0.12).toFixed(2),         points:0.4, category:"usda",  minDown:"0%",   minCredit:580 },
-      { type:"30-Year Jumbo",      rate:+(b+0.25).toFixed(2),       term:30, apr:+(b+0.25+0.15).toFixed(2),         points:0.8, category:"jumbo", minDown:"10%",  minCredit:700 },
-      { type:"15-Year Jumbo",      rate:+(r15.value+0.15).toFixed(2),term:15,apr:+(r15.value+0.15+0.13).toFixed(2),points:0.7, category:"jumbo", minDown:"10%",  minCredit:700 },
-      { type:"30-Year Fixed Refi", rate:+(b+0.10).toFixed(2),       term:30, apr:+(b+0.10+0.14).toFixed(2),         points:0.6, category:"refi",  minDown:"—",    minCredit:620 },
-      { type:"15-Year Fixed Refi", rate:+(r15.value+0.10).toFixed(2),term:15,apr:+(r15.value+0.10+0.12).toFixed(2),points:0.5, category:"refi",  minDown:"—",    minCredit:620 },
-      { type:"Cash-Out Refi",      rate:+(b+0.30).toFixed(2),       term:30, apr:+(b+0.30+0.16).toFixed(2),         points:0.7, category:"refi",  minDown:"—",    minCredit:640 },
-    ];
+// Base rate for a fixed term and program, using the same spreads as /api/today-rates
+function baseRateForTerm(term, r30, r15, loanType = "conventional") {
+  const base   = { 30: r30.value, 20: +(r30.value - 0.25).toFixed(2), 15: r15.value, 10: +(r30.value - 0.50).toFixed(2) }[term] ?? r30.value;
+  const spread = loadPrograms()[loanType].rateSpread;
+  return +(base + (term <= 15 ? spread["15"] : spread["30"])).toFixed(2);
+}
 
-    const enriched = rows.map(r => ({
-      ...r,
-      monthlyPayment: +pmt(loan, r.rate, r.term).toFixed(2),
-      weekChange: r.type.includes("30-Year Fixed") && !r.type.includes("Refi") && !r.type.includes("FHA") && !r.type.includes("VA") && !r.type.includes("USDA") && !r.type.includes("Jumbo") ? (r30.change||0) : r.type.includes("15-Year Fixed") && !r.type.includes("Jumbo") && !r.type.includes("FHA") && !r.type.includes("VA") ? (r15.change||0) : r.type.includes("ARM") ? (rArm.change||0) : null,
-    }));
+// ─────────────────────────────────────────────
+// LOAN PROGRAMS & MORTGAGE INSURANCE
+// config/programs.json (PROGRAMS_FILE): conventional PMI by FICO × LTV,
+// FHA upfront + annual MIP, VA funding fee, USDA guarantee fees
+// ─────────────────────────────────────────────
+const PROGRAMS_FILE = process.env.PROGRAMS_FILE || path.join(__dirname, "config", "programs.json");
+const LOAN_PROGRAMS = ["conventional", "fha", "va", "usda"];
 
-    const history7 = (r30.history || []).slice(0, 8).map(h => ({ date: h.date, value: h.value })).reverse();
+function loadPrograms() {
+  return loadConfig(PROGRAMS_FILE);
+}
 
-    const response = {
-      source:    HAS_KEY ? "Federal Reserve (FRED) / Freddie Mac" : "Built-in rates",
-      live:      HAS_KEY,
-      updatedAt: new Date().toISOString(),
-      asOf:      r30.date,
-      summary: {
-        rate30yr:  { value: b,              change: r30.change    },
-        rate15yr:  { value: r15.value,      change: r15.change    },
-        rateArm:   { value: rArm.value,     change: rArm.change   },
-        treasury:  { value: t10.value,      change: t10.change    },
-        fedFunds:  { value: fedFunds.value, change: fedFunds.change },
-      },
-      rates: enriched,
-      history7,
+// First row of a "minDownPct"-ordered table that the down payment meets
+function byMinDown(rows, downPct) {
+  return rows.find(r => downPct >= r.minDownPct) || rows[rows.length - 1];
+}
+
+// Mortgage insurance / guarantee fee terms for a loan. `premium(month,
+// balance, yearStartBalance)` gives that month's premium in dollars.
+function mortgageInsurance({ loanType, baseLoan, value, term, creditScore, vaUse = "first" }) {
+  const program = loadPrograms()[loanType];
+  const ltv     = baseLoan / value * 100;
+  const downPct = 100 - ltv;
+  const none    = { type: null, upfrontPct: 0, upfrontFee: 0, annualPct: 0, duration: null, premium: () => 0 };
+
+  switch (loanType) {
+    case "conventional": {
+      if (ltv <= 80) return none;
+      const { pmi } = program;
+      const row       = pmi.rows.find(r => creditScore >= r.minScore) || pmi.rows[pmi.rows.length - 1];
+      const annualPct = row.rates[bandIndex(pmi.ltvMax, ltv)];
+      const removeAt  = value * pmi.removeAtLtv / 100;
+      return {
+        type: "PMI", upfrontPct: 0, upfrontFee: 0, annualPct,
+        duration: `until the balance reaches ${pmi.removeAtLtv}% of the original value`,
+        premium:  (month, balance) => balance > removeAt ? baseLoan * annualPct / 100 / 12 : 0,
+      };
+    }
+    case "fha": {
+      const tier      = program.annualMip.find(t => (t.maxTermYears === null || term <= t.maxTermYears) && (t.maxLoan === null || baseLoan <= t.maxLoan));
+      const annualPct = tier.pct[bandIndex(tier.ltvMax, ltv)];
+      const lifeOfLoan = ltv > program.lifeOfLoanAboveLtv;
+      const months     = lifeOfLoan ? term * 12 : program.limitedYears * 12;
+      return {
+        type: "MIP", upfrontPct: program.upfrontPct, upfrontFee: baseLoan * program.upfrontPct / 100, annualPct,
+        duration: lifeOfLoan ? "life of loan" : `${program.limitedYears} years`,
+        premium:  (month, balance, yearStartBalance) => month <= months ? yearStartBalance * annualPct / 100 / 12 : 0,
+      };
+    }
+    case "va": {
+      const fees = program.fundingFee[vaUse] || program.fundingFee.first;
+      const pct  = byMinDown(fees, downPct).pct;
+      return { ...none, type: "VA funding fee", upfrontPct: pct, upfrontFee: baseLoan * pct / 100, duration: "one-time" };
+    }
+    case "usda":
+      return {
+        type: "USDA guarantee fee", upfrontPct: program.upfrontPct, upfrontFee: baseLoan * program.upfrontPct / 100, annualPct: program.annualPct,
+        duration: "life of loan",
+        premium:  (month, balance, yearStartBalance) => yearStartBalance * program.annualPct / 100 / 12,
+      };
+  }
+  return none;
+}
+
+// ─────────────────────────────────────────────
+// LOAN LIMITS
+// County conforming, high-balance and FHA limits from
+// data/loan-limits.json (LOAN_LIMITS_FILE), keyed by FIPS code with a
+// ZIP → county index. Unlisted counties get the baseline / FHA floor.
+// ─────────────────────────────────────────────
+const LOAN_LIMITS_FILE = process.env.LOAN_LIMITS_FILE || path.join(__dirname, "data", "loan-limits.json");
+
+function loadLoanLimits() {
+  return loadConfig(LOAN_LIMITS_FILE);
+}
+
+// Limits for a county (FIPS or name + state) or ZIP and unit count.
+// Unknown ZIPs / county names fall back to the baseline and FHA floor with
+// matched: false, as an unlisted FIPS does; { error } only for a malformed ZIP.
+function loanLimitsFor({ county, zip, state, units = "1" }) {
+  const data = loadLoanLimits();
+  const i    = Math.min(4, Math.max(1, parseInt(units) || 1)) - 1;
+
+  let fips = null;
+  if (zip) {
+    if (!/^\d{5}(-\d{4})?$/.test(String(zip))) return { error: `Invalid ZIP ${zip}` };
+    fips = data.zips[String(zip).slice(0, 5)] || null;
+  } else if (county) {
+    const name = String(county).toLowerCase().replace(/\s+county$/, "");
+    fips = /^\d{5}$/.test(county) ? county : Object.keys(data.counties).find(f => {
+      const c = data.counties[f];
+      return c.name.toLowerCase().replace(/\s+county$/, "") === name && (!state || c.state === state);
+    }) || null;
+  }
+
+  const entry = fips && data.counties[fips];
+  const conforming = entry ? entry.conforming[i] : data.baseline[i];
+  return {
+    year:       data.year,
+    fips,
+    county:     entry ? entry.name : null,
+    state:      entry ? entry.state : state || null,
+    matched:    Boolean(entry),
+    units:      i + 1,
+    baseline:   data.baseline[i],
+    conforming,
+    fha:        entry ? entry.fha[i] : data.fhaFloor[i],
+    highCost:   conforming > data.baseline[i],
+  };
+}
+
+// conforming (≤ baseline), high_balance (≤ county limit) or jumbo
+function classifyLoan(amount, limits) {
+  if (amount <= limits.baseline)   return "conforming";
+  if (amount <= limits.conforming) return "high_balance";
+  return "jumbo";
+}
+
+// Limits for a borrower from borrowerFrom()
+function borrowerLimits(b) {
+  return loanLimitsFor({ county: b.county, zip: b.zip, state: b.state, units: b.units });
+}
+
+// FHA limit error for a program and loan amount, or null
+function fhaLimitError(loanType, amount, limits) {
+  if (loanType !== "fha" || amount <= limits.fha) return null;
+  return {
+    error:      `Loan amount exceeds the ${limits.year} FHA limit of $${limits.fha.toLocaleString("en-US")}${limits.county ? ` for ${limits.county}, ${limits.state}` : ""}`,
+    fhaLimit:   limits.fha,
+    loanAmount: amount,
+  };
+}
+
+// ─────────────────────────────────────────────
+// APR (Regulation Z, Appendix J — actuarial method)
+// Solves for the periodic rate i where the amount financed equals the
+// present value of the payment stream:
+//   amountFinanced = Σ payment_k / ((1 + f·i) · (1 + i)^t_k)
+// f is the fractional odd first period (odd days / 30). APR = 12 · i.
+// Every `apr` the API reports comes from here.
+// ─────────────────────────────────────────────
+const DEFAULT_LENDER_FEES = 2800;  // origination/underwriting, when a route has no fee input
+
+function actuarialApr({ amountFinanced, payments, oddDays = 0 }) {
+  // First payment lands after 1 + oddDays/30 unit periods
+  const firstAt = 1 + oddDays / 30;
+  const whole   = Math.floor(firstAt);
+  const f       = firstAt - whole;
+  const pv = i => payments.reduce((sum, p, k) => sum + p / ((1 + f * i) * Math.pow(1 + i, whole + k)), 0);
+
+  // PV falls as i rises; bisect
+  let lo = 0, hi = 0.05;
+  if (pv(lo) < amountFinanced) return 0;
+  while (pv(hi) > amountFinanced) hi *= 2;
+  for (let n = 0; n < 100 && hi - lo > 1e-12; n++) {
+    const mid = (lo + hi) / 2;
+    if (pv(mid) > amountFinanced) lo = mid; else hi = mid;
+  }
+  return +((lo + hi) / 2 * 12 * 100).toFixed(3);
+}
+
+// APR for a loan in one of LOAN_PROGRAMS. Finance charges: points (% of
+// the note), lender fees, the program's upfront fee and its monthly
+// premiums. `payments` replaces the fixed-rate P&I stream (ARMs).
+function programApr({ loanType = "conventional", baseLoan, value, rate, term, points = 0, fees = DEFAULT_LENDER_FEES,
+                      creditScore = 760, vaUse = "first", financeFee = true, oddDays = 0, payments = null }) {
+  const mi      = mortgageInsurance({ loanType, baseLoan, value, term, creditScore, vaUse });
+  const note    = baseLoan + (financeFee ? mi.upfrontFee : 0);
+  const rows    = amortize({ principal: note, rate, term, premium: mi.premium }).rows;
+  const stream  = payments ? payments.map((p, k) => p + (rows[k] ? rows[k].mi : 0)) : rows.map(r => r.payment + r.mi);
+  const prepaid = note * points / 100 + fees + mi.upfrontFee;
+  return actuarialApr({ amountFinanced: note - prepaid, payments: stream, oddDays });
+}
+
+// Disclosure payment stream for an x/1 ARM: the index stays at today's value
+function armDisclosurePayments({ loan, rate, term, fixedYears, index }) {
+  return simulateArm({
+    amount: loan, term, initialRate: rate, fixedMonths: fixedYears * 12, adjustMonths: 12,
+    margin: ARM_DEFAULTS.margin, caps: ARM_DEFAULTS.caps, floor: ARM_DEFAULTS.margin, indexAt: () => index,
+  }).schedule.map(r => r.payment);
+}
+
+// ─────────────────────────────────────────────
+// LOGGER
+// ─────────────────────────────────────────────
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+  next();
+});
+
+// ─────────────────────────────────────────────
+// API CONTRACT
+// config/openapi.json (OPENAPI_FILE) documents every route and drives
+// request validation: path and query parameters (numbers, integers,
+// booleans, enums, patterns, ranges, comma lists) and JSON bodies are
+// checked against it before the handler runs, and undocumented query
+// parameters are refused. Failures are 400 validation_failed with one
+// { field, code, message } per problem in error.details. Rules that span
+// fields (down < price, fixed period < term) stay in the handlers.
+// ─────────────────────────────────────────────
+const OPENAPI_FILE = process.env.OPENAPI_FILE || path.join(__dirname, "config", "openapi.json");
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+function loadSpec() {
+  return loadConfig(OPENAPI_FILE);
+}
+
+// Follows a local "#/components/…" $ref
+function resolveRef(spec, node) {
+  return node && node.$ref ? node.$ref.slice(2).split("/").reduce((o, key) => o[key], spec) : node;
+}
+
+// Operations as { method, template, regex, names, op, parameters }, literal paths first
+const compiledSpecs = new WeakMap();
+function specRoutes(spec) {
+  if (!compiledSpecs.has(spec)) {
+    const routes = [];
+    for (const [template, item] of Object.entries(spec.paths)) {
+      const names = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      const regex = new RegExp("^" + template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{\w+\}/g, "([^/]+)") + "$");
+      for (const method of HTTP_METHODS.filter(m => item[m])) {
+        const parameters = [...(item.parameters || []), ...(item[method].parameters || [])].map(p => resolveRef(spec, p));
+        routes.push({ method: method.toUpperCase(), template, regex, names, op: item[method], parameters });
+      }
+    }
+    compiledSpecs.set(spec, routes.sort((a, b) => a.names.length - b.names.length));
+  }
+  return compiledSpecs.get(spec);
+}
+
+function matchOperation(spec, method, reqPath) {
+  const p = reqPath.length > 1 ? reqPath.replace(/\/+$/, "") : reqPath;
+  for (const route of specRoutes(spec)) {
+    if (route.method !== method) continue;
+    const m = route.regex.exec(p);
+    if (!m) continue;
+    try {
+      return { ...route, pathParams: Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(m[i + 1])])) };
+    } catch { return null; }
+  }
+  return null;
+}
+
+// Pushes { field, code, message } for each way `value` breaks `schema`.
+// As in query strings, numeric strings satisfy number/integer and
+// "true"/"false" satisfy boolean.
+function schemaErrors(spec, value, schema, field, out) {
+  schema = resolveRef(spec, schema);
+  if (schema.anyOf) {
+    const tries = schema.anyOf.map(alt => schemaErrors(spec, value, alt, field, []));
+    if (tries.some(errors => !errors.length)) return out;
+    // A value of the right type for one alternative gets that alternative's error
+    const typed = tries.filter(errors => errors[0].code !== "type");
+    out.push(typed.length === 1 ? typed[0][0] : { field, code: "anyOf", message: tries.map(errors => errors[0].message).join(", or ") });
+    return out;
+  }
+  const types = [].concat(schema.type || []);
+  if (value === null && types.includes("null")) return out;
+  const type = types.find(t => t !== "null");
+  const fail = (code, message) => { out.push({ field, code, message }); return out; };
+
+  if (type === "number" || type === "integer") {
+    const n = typeof value === "number" ? value : typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+    if (!Number.isFinite(n)) return fail("type", `must be ${type === "integer" ? "an integer" : "a number"}`);
+    if (type === "integer" && !Number.isInteger(n)) return fail("type", "must be an integer");
+    if (schema.minimum !== undefined && n < schema.minimum) return fail("minimum", `must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && n <= schema.exclusiveMinimum) return fail("minimum", `must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && n > schema.maximum) return fail("maximum", `must be at most ${schema.maximum}`);
+  } else if (type === "boolean") {
+    if (![true, false, "true", "false"].includes(value)) return fail("type", "must be true or false");
+  } else if (type === "string") {
+    if (typeof value !== "string") return fail("type", "must be a string");
+    if (schema.enum && !schema.enum.includes(value)) return fail("enum", `must be one of: ${schema.enum.join(", ")}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail("minLength", schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail("pattern", `must match ${schema.pattern}`);
+    if (schema.format === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())) return fail("format", "must be an email address");
+    if (schema.format === "uri") {
+      try { new URL(value); } catch { return fail("format", "must be an absolute URL"); }
+    }
+  } else if (type === "array") {
+    if (!Array.isArray(value)) return fail("type", "must be an array");
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail("minItems", `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail("maxItems", `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? "" : "s"}`);
+    value.forEach((item, i) => schemaErrors(spec, item, schema.items, `${field}[${i}]`, out));
+  } else if (type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return fail("type", "must be an object");
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) out.push({ field: `${field}.${name}`, code: "required", message: "is required" });
+    }
+    for (const [name, v] of Object.entries(value)) {
+      const sub = schema.properties && schema.properties[name];
+      if (sub) schemaErrors(spec, v, sub, `${field}.${name}`, out);
+      else if (schema.additionalProperties === false) out.push({ field: `${field}.${name}`, code: "unknown", message: "is not a recognized field" });
+    }
+  }
+  return out;
+}
+
+// Query parameters every operation accepts (API key in the query string)
+function globalQueryParams(spec) {
+  return Object.values(spec.components.securitySchemes || {}).filter(s => s.type === "apiKey" && s.in === "query").map(s => s.name);
+}
+
+// Problems with a query string against an operation's parameters;
+// `extra` names more query parameters to accept unchecked
+function queryErrors(spec, parameters, query, prefix = "query", extra = []) {
+  const details = [];
+  const known   = new Set([...parameters.filter(p => p.in === "query").map(p => p.name), ...extra]);
+  for (const name of Object.keys(query)) {
+    if (!known.has(name)) details.push({ field: `${prefix}.${name}`, code: "unknown", message: "is not a recognized parameter" });
+  }
+  for (const p of parameters.filter(p => p.in === "query")) paramErrors(spec, p, query[p.name], `${prefix}.${p.name}`, details);
+  return details;
+}
+
+function paramErrors(spec, p, raw, field, details) {
+  if (raw === undefined) {
+    if (p.required) details.push({ field, code: "required", message: "is required" });
+    return;
+  }
+  if (typeof raw !== "string") {
+    details.push({ field, code: "type", message: "must be given once" });
+    return;
+  }
+  // Arrays are comma-separated (style: form, explode: false)
+  schemaErrors(spec, p.schema.type === "array" ? raw.split(",").filter(Boolean) : raw, p.schema, field, details);
+}
+
+function validateRequest(req, res, next) {
+  const spec  = loadSpec();
+  const match = matchOperation(spec, req.method, req.path);
+  if (!match) return next();
+
+  const details = queryErrors(spec, match.parameters, req.query, "query", globalQueryParams(spec));
+  for (const p of match.parameters.filter(p => p.in === "path")) paramErrors(spec, p, match.pathParams[p.name], `path.${p.name}`, details);
+  const body = match.op.requestBody && resolveRef(spec, match.op.requestBody).content["application/json"].schema;
+  if (body) schemaErrors(spec, req.body === undefined ? {} : req.body, body, "body", details);
+
+  if (details.length) return res.status(400).json({ error: "Invalid request", code: "validation_failed", details });
+  next();
+}
+app.use(validateRequest);
+
+// "METHOD /path" for each documented operation outside the admin tag
+function specEndpoints() {
+  return Object.entries(loadSpec().paths).flatMap(([template, item]) =>
+    HTTP_METHODS.filter(m => item[m] && !(item[m].tags || []).includes("admin")).map(m => `${m.toUpperCase()} ${template}`));
+}
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json({ ...loadSpec(), servers: [{ url: loadBranding().apiUrl }] });
+});
+
+// ─────────────────────────────────────────────
+// API KEYS, QUOTAS & USAGE
+// Partners call with "X-API-Key: rck_…" (or "Authorization: Bearer rck_…").
+// Each key has scopes and per-minute / per-day quotas; callers without a
+// key get ANONYMOUS_SCOPES at per-IP quotas. Only a SHA-256 of the key is
+// stored (API_KEYS_FILE); daily usage per key and route goes to USAGE_FILE.
+// ─────────────────────────────────────────────
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, "api-keys.json");
+const USAGE_FILE    = process.env.USAGE_FILE    || path.join(__dirname, "usage.json");
+const USAGE_KEEP_DAYS = parseInt(process.env.USAGE_KEEP_DAYS) || 90;
+const KEY_PREFIX    = "rck_";
+
+// Scope → route prefixes it unlocks. Routes outside every scope (/, health,
+// alert sign-up and manage links) stay open.
+const API_SCOPES = {
+  rates:       { label: "Public rates",  routes: ["/api/rates", "/api/today-rates", "/api/rate-history", "/api/lender-quotes", "/api/stream/rates", "/embed"] },
+  calculators: { label: "Calculators",   routes: ["/api/calculate", "/api/compare", "/api/affordability", "/api/refinance", "/api/arm-simulate", "/api/buydown", "/api/loan-limits", "/api/scenarios"] },
+  admin:       { label: "Alerts admin",  routes: ["/api/admin", "/api/alerts/trigger"] },
+};
+
+const ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES ?? "rates,calculators").split(",").map(s => s.trim()).filter(s => API_SCOPES[s]);
+const ANON_QUOTA   = { perMinute: parseInt(process.env.ANON_RATE_PER_MINUTE) || 30,  perDay: parseInt(process.env.ANON_RATE_PER_DAY) || 1000 };
+const DEFAULT_QUOTA = { perMinute: parseInt(process.env.KEY_RATE_PER_MINUTE) || 120, perDay: parseInt(process.env.KEY_RATE_PER_DAY) || 20000 };
+
+function loadApiKeys() {
+  try { return JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf8")); }
+  catch { return []; }
+}
+function saveApiKeys(keys) {
+  fs.writeFileSync(API_KEYS_FILE, JSON.stringify(keys, null, 2));
+}
+
+const hashKey = key => crypto.createHash("sha256").update(key).digest("hex");
+
+// Stored record minus the hash
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
+function scopeFor(reqPath) {
+  return Object.keys(API_SCOPES).find(scope =>
+    API_SCOPES[scope].routes.some(r => reqPath === r || reqPath.startsWith(r + "/"))) || null;
+}
+
+function presentedKey(req) {
+  const bearer = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const key    = req.get("x-api-key") || (bearer.startsWith(KEY_PREFIX) ? bearer : "") || req.query.api_key;
+  return key ? String(key) : null;
+}
+
+// Validated scopes/quota input for POST and PATCH /api/admin/keys → { value } or { error }
+function keySettingsFrom(body, current = {}) {
+  const out = {};
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return { error: "name must not be empty" };
+    out.name = String(body.name).trim().slice(0, 100);
+  }
+  if (body.scopes !== undefined) {
+    const scopes = Array.isArray(body.scopes) ? body.scopes : String(body.scopes).split(",").map(s => s.trim());
+    const bad    = scopes.filter(s => !API_SCOPES[s]);
+    if (!scopes.length || bad.length) return { error: `Invalid scopes: ${bad.join(", ") || "(none)"}`, valid: Object.keys(API_SCOPES) };
+    out.scopes = [...new Set(scopes)];
+  }
+  if (body.quota !== undefined) {
+    const quota = { ...(current.quota || DEFAULT_QUOTA) };
+    for (const field of ["perMinute", "perDay"]) {
+      if (body.quota[field] === undefined) continue;
+      const n = body.quota[field] === null ? null : parseInt(body.quota[field]);
+      if (n !== null && !(n > 0)) return { error: `quota.${field} must be a positive integer or null (unlimited)` };
+      quota[field] = n;
+    }
+    out.quota = quota;
+  }
+  return { value: out };
+}
+
+// ── Usage counters: { "YYYY-MM-DD": { "<keyId>|anonymous": { "GET /api/rates": n } } }
+const usage = (() => {
+  try { return JSON.parse(fs.readFileSync(USAGE_FILE, "utf8")); }
+  catch { return {}; }
+})();
+let usageDirty = false;
+
+const utcDay = (t = Date.now()) => new Date(t).toISOString().slice(0, 10);
+
+function recordUsage(owner, endpoint) {
+  const day = usage[utcDay()] ??= {};
+  const byEndpoint = day[owner] ??= {};
+  byEndpoint[endpoint] = (byEndpoint[endpoint] || 0) + 1;
+  usageDirty = true;
+}
+
+function flushUsage() {
+  if (!usageDirty) return;
+  const cutoff = utcDay(Date.now() - USAGE_KEEP_DAYS * 86400000);
+  for (const day of Object.keys(usage)) if (day < cutoff) delete usage[day];
+  try {
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(usage));
+    usageDirty = false;
+  } catch (err) {
+    console.error("usage flush error:", err.message);
+  }
+}
+setInterval(flushUsage, 60 * 1000).unref();
+process.on("exit", flushUsage);
+process.once("SIGTERM", () => process.exit(0));
+
+// ── Fixed-window quota counters (in memory; day counts for keys are seeded from usage)
+const quotaWindows = new Map();
+
+function dayCount(bucket, keyId) {
+  const day = utcDay();
+  if (keyId && !quotaWindows.has(`day|${day}|${bucket}`)) {
+    const routes = (usage[day] || {})[keyId] || {};
+    quotaWindows.set(`day|${day}|${bucket}`, Object.values(routes).reduce((a, b) => a + b, 0));
+  }
+  return quotaWindows.get(`day|${day}|${bucket}`) || 0;
+}
+
+// Counts one request against `quota` → { limited, limit, remaining, reset, retryAfter }
+function consumeQuota(bucket, quota, keyId) {
+  const now       = Date.now();
+  const minute    = Math.floor(now / 60000);
+  const minuteKey = `min|${minute}|${bucket}`;
+  const dayKey    = `day|${utcDay(now)}|${bucket}`;
+  const usedMin   = quotaWindows.get(minuteKey) || 0;
+  const usedDay   = dayCount(bucket, keyId);
+  const toMinute  = Math.ceil(((minute + 1) * 60000 - now) / 1000);
+  const toDay     = Math.ceil((Date.parse(utcDay(now)) + 86400000 - now) / 1000);
+
+  let limited = null;
+  if (quota.perDay    && usedDay >= quota.perDay)    limited = toDay;
+  if (quota.perMinute && usedMin >= quota.perMinute) limited = Math.max(limited || 0, toMinute);
+  if (!limited) {
+    quotaWindows.set(minuteKey, usedMin + 1);
+    quotaWindows.set(dayKey, usedDay + 1);
+  }
+  const limit = quota.perMinute || quota.perDay;
+  return {
+    limited:    !!limited,
+    limit,
+    remaining:  limit ? Math.max(0, limit - (quota.perMinute ? usedMin : usedDay) - (limited ? 0 : 1)) : null,
+    reset:      quota.perMinute ? toMinute : toDay,
+    retryAfter: limited,
+  };
+}
+
+// Old windows are dropped once a minute
+setInterval(() => {
+  const minute = Math.floor(Date.now() / 60000), today = utcDay();
+  for (const key of quotaWindows.keys()) {
+    const [kind, window] = key.split("|");
+    if (kind === "min" ? Number(window) < minute : window < today) quotaWindows.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// Resolves the caller, enforces scope and quota, sets RateLimit-* headers
+// and meters the request once it finishes.
+function apiAccess(req, res, next) {
+  const scope = scopeFor(req.path);
+  const raw   = presentedKey(req);
+  let key = null;
+
+  if (raw) {
+    const hash = hashKey(raw);
+    key = loadApiKeys().find(k => k.hash === hash);
+    if (!key || key.revokedAt) return res.status(401).json({ error: key ? "API key has been revoked" : "Invalid API key" });
+    if (scope && !key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope`, scopes: key.scopes });
+    }
+    req.apiKey = key;
+  } else if (scope === "admin") {
+    // No key: requireAdmin falls back to ADMIN_TOKEN
+    return next();
+  } else if (scope && !ANONYMOUS_SCOPES.includes(scope)) {
+    return res.status(401).json({ error: `An API key with the "${scope}" scope is required` });
+  }
+  if (!scope) return next();
+
+  const quota = key ? (key.quota || DEFAULT_QUOTA) : ANON_QUOTA;
+  const q     = consumeQuota(key ? key.id : `ip:${req.ip}`, quota, key && key.id);
+  if (q.limit) {
+    res.set("RateLimit-Limit",     String(q.limit));
+    res.set("RateLimit-Remaining", String(q.remaining));
+    res.set("RateLimit-Reset",     String(q.reset));
+  }
+  if (q.limited) {
+    res.set("Retry-After", String(q.retryAfter));
+    return res.status(429).json({ error: "Rate limit exceeded", retry_after: q.retryAfter });
+  }
+
+  res.on("finish", () => {
+    const route = req.route ? req.route.path : req.path;
+    recordUsage(key ? key.id : "anonymous", `${req.method} ${Array.isArray(route) ? route[0] : route}`);
+  });
+  next();
+}
+app.use(apiAccess);
+
+app.post("/api/admin/keys", requireAdmin, (req, res) => {
+  const body = req.body || {};
+  if (!body.name) return res.status(400).json({ error: "name is required" });
+  const settings = keySettingsFrom({ scopes: ["rates"], quota: {}, ...body });
+  if (settings.error) return res.status(400).json(settings);
+
+  const secret = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id:        crypto.randomBytes(6).toString("hex"),
+    prefix:    secret.slice(0, KEY_PREFIX.length + 6),
+    hash:      hashKey(secret),
+    ...settings.value,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  const keys = loadApiKeys();
+  keys.push(record);
+  saveApiKeys(keys);
+  // The key itself is only ever returned here
+  res.status(201).json({ ...publicKey(record), key: secret });
+});
+
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  const keys = loadApiKeys().filter(k => req.query.revoked === "true" || !k.revokedAt);
+  res.json({ count: keys.length, scopes: Object.fromEntries(Object.entries(API_SCOPES).map(([s, v]) => [s, v.label])), keys: keys.map(publicKey) });
+});
+
+app.patch("/api/admin/keys/:id", requireAdmin, (req, res) => {
+  const keys = loadApiKeys();
+  const key  = keys.find(k => k.id === req.params.id);
+  if (!key) return res.status(404).json({ error: "API key not found" });
+  if (key.revokedAt) return res.status(409).json({ error: "API key has been revoked" });
+  const settings = keySettingsFrom(req.body || {}, key);
+  if (settings.error) return res.status(400).json(settings);
+  Object.assign(key, settings.value);
+  saveApiKeys(keys);
+  res.json(publicKey(key));
+});
+
+app.delete("/api/admin/keys/:id", requireAdmin, (req, res) => {
+  const keys = loadApiKeys();
+  const key  = keys.find(k => k.id === req.params.id);
+  if (!key) return res.status(404).json({ error: "API key not found" });
+  key.revokedAt = key.revokedAt || new Date().toISOString();
+  saveApiKeys(keys);
+  res.json(publicKey(key));
+});
+
+// ?date=YYYY-MM-DD (default today, UTC) or ?from=&to=, optional ?key=<id>|anonymous
+app.get("/api/admin/usage", requireAdmin, (req, res) => {
+  const { key } = req.query;
+  const from = req.query.from || req.query.date || utcDay();
+  const to   = req.query.to   || req.query.date || from;
+  if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+
+  const names = Object.fromEntries(loadApiKeys().map(k => [k.id, k.name]));
+  const days  = Object.keys(usage).filter(d => d >= from && d <= to).sort();
+  res.json({
+    from, to,
+    days: days.map(date => ({
+      date,
+      keys: Object.entries(usage[date])
+        .filter(([owner]) => !key || owner === key)
+        .map(([owner, endpoints]) => ({
+          key:       owner,
+          name:      owner === "anonymous" ? "Anonymous" : names[owner] || null,
+          total:     Object.values(endpoints).reduce((a, b) => a + b, 0),
+          endpoints,
+        })),
+    })),
+  });
+});
+
+// ─────────────────────────────────────────────
+// EXPORTS
+// /api/calculate, /api/today-rates, /api/lender-quotes and /api/rate-history
+// also answer with files: ?format=csv|xlsx|pdf, or an Accept header of
+// text/csv, the XLSX type or application/pdf. Each route turns its JSON
+// body into a report — { filename, title, subtitle, sections, table,
+// disclosure } where sections hold label/value pairs or tables — and the
+// renderers below lay it out. CSV is the main table only; XLSX has a
+// Summary sheet plus one sheet per table; the PDF is a printable summary.
+// Everything is rendered in-process (pdfkit, exceljs).
+// ─────────────────────────────────────────────
+const EXPORT_TYPES = {
+  csv:  "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf:  "application/pdf",
+};
+
+// "json" | "csv" | "xlsx" | "pdf" from ?format= or the Accept header (JSON wins ties)
+function exportFormat(req) {
+  if (req.query.format) return req.query.format;
+  const type = req.accepts(["application/json", ...Object.values(EXPORT_TYPES)]);
+  return Object.keys(EXPORT_TYPES).find(f => EXPORT_TYPES[f] === type) || "json";
+}
+
+function csvCell(value) {
+  let s = value == null ? "" : String(value);
+  // Neutralise spreadsheet formulas in text (numbers such as -0.25 stay numeric)
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Display text for a report value; column formats are money, percent, number and text
+function formatValue(value, format) {
+  if (value == null || value === "") return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value !== "number") return String(value);
+  if (format === "money")   return value.toLocaleString("en-US", { style: "currency", currency: "USD" });
+  if (format === "percent") return `${value}%`;
+  return value.toLocaleString("en-US", { maximumFractionDigits: 3 });
+}
+
+const XLSX_FORMATS = { money: '"$"#,##0.00', percent: '0.000"%"', number: "#,##0.###" };
+
+function renderCsv(report) {
+  const { columns, rows } = report.table;
+  return [columns.map(c => csvCell(c.label)).join(","), ...rows.map(row => columns.map(c => csvCell(row[c.key])).join(","))].join("\r\n") + "\r\n";
+}
+
+async function renderXlsx(report) {
+  const brand = loadBranding();
+  const wb    = new ExcelJS.Workbook();
+  wb.creator  = brand.name;
+  wb.created  = new Date();
+
+  const summary = wb.addWorksheet("Summary");
+  summary.columns = [{ width: 34 }, { width: 48 }];
+  summary.addRow([report.title]).font = { bold: true, size: 14 };
+  if (report.subtitle) summary.addRow([report.subtitle]);
+  const tables = [report.table];
+  for (const section of report.sections) {
+    if (section.table) {
+      if (section.table !== report.table) tables.push(section.table);
+      continue;
+    }
+    summary.addRow([]);
+    summary.addRow([section.heading]).font = { bold: true };
+    for (const [label, value, format] of section.pairs) {
+      const cell = summary.addRow([label, value ?? ""]).getCell(2);
+      if (typeof value === "number" && XLSX_FORMATS[format]) cell.numFmt = XLSX_FORMATS[format];
+    }
+  }
+  summary.addRow([]);
+  summary.addRow([report.disclosure]).font = { italic: true, size: 9 };
+
+  for (const table of tables) {
+    const ws = wb.addWorksheet(table.sheet || "Data", { views: [{ state: "frozen", ySplit: 1 }] });
+    ws.columns = table.columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2), style: XLSX_FORMATS[c.format] ? { numFmt: XLSX_FORMATS[c.format] } : {} }));
+    ws.getRow(1).font = { bold: true };
+    ws.addRows(table.rows.map(row => Object.fromEntries(table.columns.map(c => [c.key, row[c.key] ?? null]))));
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// The standard PDF fonts only cover Latin-1 (plus a few WinAnsi extras)
+// eslint-disable-next-line no-control-regex
+const pdfText = value => String(value).replace(/≤/g, "<=").replace(/≥/g, ">=").replace(/[^\x00-\xFF—–‘’“”•…€]/g, "").trim();
+
+function renderPdf(report) {
+  const brand = loadBranding();
+  const wide  = Math.max(...report.sections.filter(sec => sec.table).map(sec => sec.table.columns.length)) > 7;
+  const doc   = new PDFDocument({ size: "LETTER", layout: wide ? "landscape" : "portrait", margin: 48, bufferPages: true,
+                                  info: { Title: report.title, Author: brand.name, Creator: brand.name } });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => { doc.on("end", () => resolve(Buffer.concat(chunks))); doc.on("error", reject); });
+
+  const left   = doc.page.margins.left;
+  const width  = doc.page.width - left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensure = height => { if (doc.y + height > bottom()) doc.addPage(); };
+
+  doc.font("Helvetica-Bold").fontSize(16).fillColor("#111111").text(pdfText(`${brand.name} · ${report.title}`), left, doc.y, { width });
+  if (report.subtitle) doc.font("Helvetica").fontSize(9).fillColor("#555555").text(pdfText(report.subtitle), { width });
+  doc.moveDown();
+
+  const drawTable = table => {
+    const rowH   = 14;
+    const colW   = width / table.columns.length;
+    const header = () => {
+      doc.rect(left, doc.y, width, rowH).fill("#eef2f7");
+      const y = doc.y + 4;
+      table.columns.forEach((c, i) => doc.font("Helvetica-Bold").fontSize(7.5).fillColor("#111111")
+        .text(pdfText(c.label), left + i * colW + 3, y, { width: colW - 6, align: c.format ? "right" : "left", lineBreak: false, ellipsis: true }));
+      doc.y = y - 4 + rowH;
+    };
+    ensure(rowH * 2);
+    header();
+    table.rows.forEach((row, r) => {
+      if (doc.y + rowH > bottom()) { doc.addPage(); header(); }
+      if (r % 2) doc.rect(left, doc.y, width, rowH).fill("#f8f9fb");
+      const y = doc.y + 4;
+      table.columns.forEach((c, i) => doc.font("Helvetica").fontSize(7.5).fillColor("#222222")
+        .text(pdfText(formatValue(row[c.key], c.format)), left + i * colW + 3, y, { width: colW - 6, align: c.format ? "right" : "left", lineBreak: false, ellipsis: true }));
+      doc.y = y - 4 + rowH;
+    });
+    doc.x = left;
+  };
+
+  for (const section of report.sections) {
+    ensure(40);
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#111111").text(pdfText(section.heading), left, doc.y, { width });
+    doc.moveDown(0.3);
+    if (section.table) {
+      drawTable(section.table);
+    } else {
+      for (const [label, value, format] of section.pairs) {
+        ensure(13);
+        const y = doc.y;
+        doc.font("Helvetica").fontSize(9).fillColor("#555555").text(pdfText(label), left, y, { width: width * 0.45 });
+        doc.font("Helvetica-Bold").fillColor("#111111").text(pdfText(formatValue(value, format)), left + width * 0.45, y, { width: width * 0.55 });
+        doc.y = Math.max(doc.y, y + 12);
+      }
+    }
+    doc.moveDown();
+  }
+
+  ensure(50);
+  doc.font("Helvetica").fontSize(7.5).fillColor("#555555").text(pdfText(report.disclosure), left, doc.y, { width });
+
+  // Footer: generated-at and page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(7).fillColor("#888888")
+      .text(pdfText(`${brand.siteUrl} · generated ${new Date().toISOString().slice(0, 16).replace("T", " ")} UTC · page ${i + 1} of ${range.count}`),
+        left, doc.page.height - margin + 16, { width, align: "center", lineBreak: false });
+    doc.page.margins.bottom = margin;
+  }
+  doc.end();
+  return done;
+}
+
+async function sendReport(res, format, report) {
+  const body = format === "csv" ? renderCsv(report) : format === "xlsx" ? await renderXlsx(report) : await renderPdf(report);
+  res.set("Content-Disposition", `attachment; filename="${report.filename}.${format}"`);
+  res.type(EXPORT_TYPES[format]).send(body);
+}
+
+// JSON body, or the report built from it when a file format was asked for
+function respond(req, res, body, toReport) {
+  const format = exportFormat(req);
+  if (!req.query.format && res.vary) res.vary("Accept");  // negotiated — caches must key on Accept
+  if (format === "json") return res.json(body);
+  return sendReport(res, format, toReport(body));
+}
+
+// Source / as-of line shared by every report
+function dataDisclosure({ source, asOf, live, stale }) {
+  const brand = loadBranding();
+  const data  = source ? `Rates: ${source}${asOf ? `, as of ${asOf}` : ""}${stale ? " (last good data — live source unavailable)" : live === false ? " (not live)" : ""}.` : "";
+  return `${data} ${brand.dataCredit}. Estimates for illustration only — not a loan offer or commitment to lend. Actual rates, APRs and payments depend on the lender, the full application and market conditions.`.trim();
+}
+
+// ─────────────────────────────────────────────
+// ROUTES
+// ─────────────────────────────────────────────
+
+app.get("/", (req, res) => {
+  res.json({
+    service:  "RateCroft Rates API",
+    version:  "1.0.0",
+    live:     HAS_KEY,
+    fred_key: HAS_KEY ? "✓ set" : "✗ missing — using fallback rates",
+    providers: Object.fromEntries(Object.values(FRED_SERIES).map(id => [id, providerFor(id).name])),
+    openapi:   "/api/openapi.json",
+    endpoints: specEndpoints(),
+  });
+});
+
+// ── /api/rates
+// Cached national rates (shared with the /embed widgets)
+async function currentRates() {
+  const cached = cache.get("all_rates");
+  if (cached) return cached;
+
+  const [r30, r15, t10, fedFunds, prime] = await Promise.all([
+    fetchFredSeries(FRED_SERIES.rate_30yr),
+    fetchFredSeries(FRED_SERIES.rate_15yr),
+    fetchFredSeries(FRED_SERIES.treasury10),
+    fetchFredSeries(FRED_SERIES.fed_funds),
+    fetchFredSeries(FRED_SERIES.prime_rate),
+  ]);
+  // Derive 5/1 ARM from 30yr (MORTGAGE5US discontinued Nov 2022)
+  const rArm = { seriesId:'derived', value:+(r30.value-0.55).toFixed(2), change:r30.change, date:r30.date, history:[] };
+
+  const response = buildRatesResponse(r30, r15, rArm, t10, fedFunds, prime);
+  cache.set("all_rates", response, responseTtl(r30, r15, t10, fedFunds, prime));
+  return response;
+}
+
+app.get("/api/rates", async (req, res) => {
+  try {
+    res.json(await currentRates());
+  } catch (err) {
+    console.error("GET /api/rates error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/rates/summary
+app.get("/api/rates/summary", async (req, res) => {
+  try {
+    const cached = cache.get("summary");
+    if (cached) return res.json(cached);
+
+    const [r30, r15, t10] = await Promise.all([
+      fetchFredSeries(FRED_SERIES.rate_30yr),
+      fetchFredSeries(FRED_SERIES.rate_15yr),
+      fetchFredSeries(FRED_SERIES.treasury10),
+    ]);
+    const rArm = { value:+(r30.value-0.55).toFixed(2), change:r30.change };
+    const d = deriveRates(r30.value);
+
+    const response = {
+      ...seriesMeta(r30, r15, t10),
+      updatedAt: new Date().toISOString(),
+      asOf:      r30.date,
+      rates: [
+        { label: "30-Yr Fixed",    value: r30.value,      change: r30.change,  unit: "%" },
+        { label: "15-Yr Fixed",    value: r15.value,      change: r15.change,  unit: "%" },
+        { label: "20-Yr Fixed",    value: d.rate_20yr,    change: null,        unit: "%" },
+        { label: "5/1 ARM",        value: rArm.value,     change: rArm.change, unit: "%" },
+        { label: "FHA 30-Yr",      value: d.rate_fha30,   change: null,        unit: "%" },
+        { label: "VA 30-Yr",       value: d.rate_va30,    change: null,        unit: "%" },
+        { label: "Jumbo 30-Yr",    value: d.rate_jumbo30, change: null,        unit: "%" },
+        { label: "10-Yr Treasury", value: t10.value,      change: t10.change,  unit: "%" },
+      ],
+    };
+
+    cache.set("summary", response, responseTtl(r30, r15, t10));
+    res.json(response);
+  } catch (err) {
+    console.error("GET /api/rates/summary error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/rates/today — Bankrate-style full daily rates table
+function todayRatesReport(result) {
+  const { borrower, summary } = result;
+  const table = {
+    sheet:   "Rates",
+    columns: [
+      { key: "type", label: "Loan" }, { key: "rate", label: "Rate", format: "percent" }, { key: "apr", label: "APR", format: "percent" },
+      { key: "points", label: "Points", format: "number" }, { key: "monthlyPayment", label: "Monthly P&I", format: "money" },
+      { key: "weekChange", label: "Week change", format: "number" }, { key: "minDown", label: "Min down" },
+      { key: "minCredit", label: "Min credit", format: "number" },
+      ...(borrower ? [{ key: "eligible", label: "Eligible" }] : []),
+    ],
+    rows: result.rates,
+  };
+  return {
+    filename: `today-rates-${result.asOf}`,
+    title:    "Today's mortgage rates",
+    subtitle: borrower
+      ? `Priced for a ${formatValue(borrower.loanAmount, "money")} ${borrower.purpose} loan, credit score ${borrower.creditScore}${borrower.state ? `, ${borrower.state}` : ""}`
+      : "National averages; payments on a $320,000 loan",
+    table,
+    sections: [
+      { heading: "Benchmarks", pairs: [
+        ["30-year fixed", summary.rate30yr.value, "percent"], ["15-year fixed", summary.rate15yr.value, "percent"],
+        ["5/1 ARM", summary.rateArm.value, "percent"], ["10-year Treasury", summary.treasury.value, "percent"],
+        ["Fed funds", summary.fedFunds.value, "percent"],
+      ] },
+      { heading: "Rates", table },
+    ],
+    disclosure: dataDisclosure(result),
+  };
+}
+
+app.get("/api/today-rates", async (req, res) => {
+  try {
+    // Optional borrower → every row priced through the LLPA engine
+    const hasBorrower = BORROWER_PARAMS.some(k => req.query[k] !== undefined);
+    const borrower    = hasBorrower ? borrowerFrom(req.query) : null;
+    const limits      = borrower ? borrowerLimits(borrower) : null;
+    if (borrower) {
+      const invalid = pricingError(borrower) || (limits.error && limits);
+      if (invalid) return res.status(400).json(invalid);
+    }
+    const cacheKey = borrower ? `today_rates_${JSON.stringify(borrower)}` : "today_rates";
+    const cached   = cache.get(cacheKey);
+    if (cached) return await respond(req, res, cached, todayRatesReport);
+
+    const [r30, r15, t10, fedFunds, prime] = await Promise.all([
+      fetchFredSeries(FRED_SERIES.rate_30yr),
+      fetchFredSeries(FRED_SERIES.rate_15yr),
+      fetchFredSeries(FRED_SERIES.treasury10),
+      fetchFredSeries(FRED_SERIES.fed_funds),
+      fetchFredSeries(FRED_SERIES.prime_rate),
+    ]);
+    // Derive 5/1 ARM from 30yr (MORTGAGE5US discontinued Nov 2022)
+    const rArm = { seriesId:'derived', value:+(r30.value-0.55).toFixed(2), change:r30.change, date:r30.date, history:[] };
+
+    const b = r30.value;
+    const pmt = (principal, rate, years) => {
+      const r = rate/100/12, n = years*12;
+      return r > 0 ? principal*(r*Math.pow(1+r,n))/(Math.pow(1+r,n)-1) : principal/n;
+    };
+    const loan = borrower ? borrower.loanAmount : 320000; // default: $400k home, 20% down
+    const limitClass = limits && classifyLoan(loan, limits);
+    // With a borrower, flag rows the loan amount can't use under the county limits
+    const eligibleFor = r => r.category === "jumbo" ? limitClass === "jumbo"
+      : r.category === "fha" ? loan <= limits.fha
+      : ["va", "usda"].includes(r.category) || limitClass !== "jumbo";
+
+    // Refi rows start from the purchase rate; the purpose adjuster adds the spread.
+    // Without a borrower only that purpose adjuster applies (national averages).
+    const grid   = loadPricing();
+    const adjFor = purpose => borrower ? priceAdjustments({ ...borrower, purpose }).total : grid.purpose[purpose];
+
+    // program: mortgage insurance rules for the APR; fixedYears: ARM disclosure stream
+    const rows = [
+      { type:"30-Year Fixed",      rate: b,                          term:30, points:0.7, category:"fixed", minDown:"3%",   minCredit:620 },
+      { type:"20-Year Fixed",      rate:+(b-0.25).toFixed(2),        term:20, points:0.6, category:"fixed", minDown:"5%",   minCredit:620 },
+      { type:"15-Year Fixed",      rate: r15.value,                  term:15, points:0.6, category:"fixed", minDown:"3%",   minCredit:620 },
+      { type:"10-Year Fixed",      rate:+(b-0.50).toFixed(2),        term:10, points:0.5, category:"fixed", minDown:"5%",   minCredit:620 },
+      { type:"5/1 ARM",            rate: rArm.value,                 term:30, points:0.5, category:"arm",   minDown:"5%",   minCredit:640, fixedYears:5 },
+      { type:"7/1 ARM",            rate:+(b-0.40).toFixed(2),        term:30, points:0.5, category:"arm",   minDown:"5%",   minCredit:640, fixedYears:7 },
+      { type:"10/1 ARM",           rate:+(b-0.20).toFixed(2),        term:30, points:0.4, category:"arm",   minDown:"5%",   minCredit:640, fixedYears:10 },
+      { type:"30-Year FHA",        rate:+(b-0.25).toFixed(2),        term:30, points:0.5, category:"fha",   minDown:"3.5%", minCredit:580, program:"fha" },
+      { type:"15-Year FHA",        rate:+(r15.value-0.20).toFixed(2),term:15, points:0.4, category:"fha",   minDown:"3.5%", minCredit:580, program:"fha" },
+      { type:"30-Year VA",         rate:+(b-0.50).toFixed(2),        term:30, points:0.3, category:"va",    minDown:"0%",   minCredit:580, program:"va" },
+      { type:"15-Year VA",         rate:+(r15.value-0.40).toFixed(2),term:15, points:0.3, category:"va",    minDown:"0%",   minCredit:580, program:"va" },
+      { type:"30-Year USDA",       rate:+(b-0.30).toFixed(2),        term:30, points:0.4, category:"usda",  minDown:"0%",   minCredit:580, program:"usda" },
+      { type:"30-Year Jumbo",      rate:+(b+0.25).toFixed(2),        term:30, points:0.8, category:"jumbo", minDown:"10%",  minCredit:700 },
+      { type:"15-Year Jumbo",      rate:+(r15.value+0.15).toFixed(2),term:15, points:0.7, category:"jumbo", minDown:"10%",  minCredit:700 },
+      { type:"30-Year Fixed Refi", rate: b,                          term:30, points:0.6, category:"refi",  minDown:"—",    minCredit:620, purpose:"refinance" },
+      { type:"15-Year Fixed Refi", rate: r15.value,                  term:15, points:0.5, category:"refi",  minDown:"—",    minCredit:620, purpose:"refinance" },
+      { type:"Cash-Out Refi",      rate: b,                          term:30, points:0.7, category:"refi",  minDown:"—",    minCredit:640, purpose:"cashout" },
+    ].map(({ purpose = "purchase", program = "conventional", fixedYears, ...r }) => {
+      const rate = +(r.rate + adjFor(purpose)).toFixed(3);
+      const apr  = programApr({
+        loanType: program, baseLoan: loan, value: borrower ? borrower.price : 400000, rate, term: r.term, points: r.points,
+        creditScore: borrower ? borrower.creditScore : 760,
+        payments: fixedYears ? armDisclosurePayments({ loan, rate, term: r.term, fixedYears, index: t10.value }) : null,
+      });
+      return { ...r, rate, apr };
+    });
+
+    const enriched = rows.map(r => ({
+      ...r,
+      monthlyPayment: +pmt(loan, r.rate, r.term).toFixed(2),
+      ...(limits && { eligible: eligibleFor(r) }),
+      weekChange: r.type.includes("30-Year Fixed") && !r.type.includes("Refi") && !r.type.includes("FHA") && !r.type.includes("VA") && !r.type.includes("USDA") && !r.type.includes("Jumbo") ? (r30.change||0) : r.type.includes("15-Year Fixed") && !r.type.includes("Jumbo") && !r.type.includes("FHA") && !r.type.includes("VA") ? (r15.change||0) : r.type.includes("ARM") ? (rArm.change||0) : null,
+    }));
+
+    const history7 = (r30.history || []).slice(0, 8).map(h => ({ date: h.date, value: h.value })).reverse();
+
+    const response = {
+      ...seriesMeta(r30, r15, t10, fedFunds, prime),
+      updatedAt: new Date().toISOString(),
+      asOf:      r30.date,
+      summary: {
+        rate30yr:  { value: b,              change: r30.change    },
+        rate15yr:  { value: r15.value,      change: r15.change    },
+        rateArm:   { value: rArm.value,     change: rArm.change   },
+        treasury:  { value: t10.value,      change: t10.change    },
+        fedFunds:  { value: fedFunds.value, change: fedFunds.change },
+      },
+      ...(borrower && { borrower, adjustments: priceAdjustments(borrower).adjustments, loanLimit: { ...limits, class: limitClass } }),
+      rates: enriched,
+      history7,
+    };
+
+    cache.set(cacheKey, response, responseTtl(r30, r15, t10, fedFunds, prime));
+    await respond(req, res, response, todayRatesReport);
+  } catch (err) {
+    console.error("GET /api/rates/today error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/rates/:type
+app.get("/api/rates/:type", async (req, res) => {
+  const typeMap = {
+    "30yr":       FRED_SERIES.rate_30yr,
+    "15yr":       FRED_SERIES.rate_15yr,
+    "treasury10": FRED_SERIES.treasury10,
+    "fedfunds":   FRED_SERIES.fed_funds,
+    "prime":      FRED_SERIES.prime_rate,
+  };
+  const seriesId = typeMap[req.params.type];
+  if (!seriesId) return res.status(400).json({ error: "Unknown type", valid: Object.keys(typeMap) });
+  try {
+    res.json(await fetchFredSeries(seriesId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// RATE UPDATE STREAM (Server-Sent Events)
+// GET /api/stream/rates?series=rate_30yr,rate_15yr
+// When a refresh pulls an observation newer than the one last served,
+// a "rate" event { series, seriesId, oldValue, newValue, change, date,
+// previousDate } goes to every subscriber whose filter matches, and the
+// cached rate responses are dropped so the next request is fresh.
+// Heartbeat comments keep proxies from closing idle connections. Ids
+// are millisecond timestamps: Last-Event-ID (or ?lastEventId=) replays
+// missed events from the in-memory backlog, and a client that fell
+// further behind (or across a restart) gets a "resync" event instead.
+// ─────────────────────────────────────────────
+const STREAM_HEARTBEAT_MS = (parseInt(process.env.STREAM_HEARTBEAT_SEC) || 25) * 1000;
+const STREAM_MAX_CLIENTS  = parseInt(process.env.STREAM_MAX_CLIENTS) || 500;
+const STREAM_RETRY_MS     = 5000;  // client reconnect delay
+const STREAM_BACKLOG      = 200;
+
+const SERIES_NAMES  = Object.fromEntries(Object.entries(FRED_SERIES).map(([name, id]) => [id, name]));
+const rateEvents    = [];         // { id, data }, oldest first
+const streamClients = new Set();  // { res, series: Set of names, or null for all }
+let lastEventId  = 0;
+let replayFloor  = Date.now();    // events with ids before this may be gone
+
+function writeEvent(res, { id, type = "rate", data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Called by refreshSeries when `result` has a newer observation than `previous`
+function publishRateUpdate(previous, result) {
+  const data = {
+    series:       SERIES_NAMES[result.seriesId],
+    seriesId:     result.seriesId,
+    oldValue:     previous.value,
+    newValue:     result.value,
+    change:       +(result.value - previous.value).toFixed(3),
+    date:         result.date,
+    previousDate: previous.date,
+    source:       result.source,
+  };
+  const event = { id: lastEventId = Math.max(lastEventId + 1, Date.now()), data };
+  rateEvents.push(event);
+  if (rateEvents.length > STREAM_BACKLOG) replayFloor = rateEvents.shift().id + 1;
+
+  cache.del(cache.keys().filter(key => !key.startsWith("fred_")));
+  for (const client of streamClients) {
+    if (!client.series || client.series.has(data.series)) writeEvent(client.res, event);
+  }
+  console.log(`📈 ${data.seriesId}: ${data.oldValue} (${data.previousDate}) → ${data.newValue} (${data.date}), ${streamClients.size} stream client(s)`);
+}
+
+setInterval(() => {
+  for (const client of streamClients) client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+}, STREAM_HEARTBEAT_MS).unref();
+
+app.get("/api/stream/rates", (req, res) => {
+  if (streamClients.size >= STREAM_MAX_CLIENTS) return res.status(503).json({ error: "Too many stream connections — retry shortly" });
+  const series = req.query.series ? new Set(String(req.query.series).split(",").filter(Boolean)) : null;
+  const since  = parseInt(req.get("last-event-id") || req.query.lastEventId) || null;
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache, no-transform", "Connection": "keep-alive", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n: connected\n\n`);
+
+  if (since !== null && since < replayFloor) {
+    writeEvent(res, { id: lastEventId || replayFloor, type: "resync", data: { reason: "Missed events are no longer available — reload current rates" } });
+  } else if (since !== null) {
+    for (const event of rateEvents) {
+      if (event.id > since && (!series || series.has(event.data.series))) writeEvent(res, event);
+    }
+  }
+
+  const client = { res, series };
+  streamClients.add(client);
+  req.on("close", () => streamClients.delete(client));
+});
+
+// Loan summary for /api/calculate exports: inputs, payment breakdown,
+// yearly amortization; the CSV / XLSX data table is the monthly schedule
+function calculateReport(result) {
+  const { inputs, monthly, loan, mortgage_insurance: mi, payoff, pricing, amortization: rows } = result;
+  const yearly = [];
+  for (const row of rows) {
+    const year = Math.ceil(row.month / 12);
+    const y    = yearly[year - 1] ??= { year, payments: 0, principal: 0, interest: 0, mi: 0, balance: 0 };
+    y.payments  += row.payment + row.extra + row.mi;
+    y.principal += row.principal + row.extra;
+    y.interest  += row.interest;
+    y.mi        += row.mi;
+    y.balance    = row.balance;
+  }
+  for (const y of yearly) for (const k of ["payments", "principal", "interest", "mi"]) y[k] = +y[k].toFixed(2);
+
+  const schedule = {
+    sheet:   "Monthly schedule",
+    columns: [
+      { key: "month", label: "Month" }, { key: "date", label: "Date" },
+      { key: "payment", label: "Payment (P&I)", format: "money" }, { key: "principal", label: "Principal", format: "money" },
+      { key: "interest", label: "Interest", format: "money" }, { key: "extra", label: "Extra principal", format: "money" },
+      { key: "mi", label: "Mortgage insurance", format: "money" }, { key: "balance", label: "Balance", format: "money" },
+    ],
+    rows: rows.map(r => ({ ...r, date: addMonths(inputs.start, r.month - 1) })),
+  };
+  const byYear = {
+    sheet:   "Yearly amortization",
+    columns: [
+      { key: "year", label: "Year" }, { key: "payments", label: "Paid", format: "money" },
+      { key: "principal", label: "Principal", format: "money" }, { key: "interest", label: "Interest", format: "money" },
+      { key: "mi", label: "Mortgage insurance", format: "money" }, { key: "balance", label: "Ending balance", format: "money" },
+    ],
+    rows: yearly,
+  };
+  return {
+    filename: `loan-summary-${inputs.start}`,
+    title:    "Loan summary",
+    subtitle: `${mi.program} ${inputs.term}-year loan of ${formatValue(loan.amount, "money")} at ${inputs.rate}% (APR ${loan.apr}%)`,
+    table:    schedule,
+    sections: [
+      { heading: "Inputs", pairs: [
+        ["Home price", inputs.price, "money"], ["Down payment", inputs.down, "money"],
+        ["Loan program", mi.program], ["Term (years)", inputs.term], ["Interest rate", inputs.rate, "percent"],
+        ["Payment frequency", inputs.frequency], ["Extra principal / month", inputs.extra, "money"],
+        ["Lump-sum prepayments", Object.entries(inputs.lump_sums).map(([m, a]) => `month ${m}: ${formatValue(a, "money")}`).join(", ") || "none"],
+        ["First payment", inputs.start],
+      ] },
+      { heading: "Monthly payment", pairs: [
+        ["Principal & interest", monthly.principal_interest, "money"], ["Property tax", monthly.property_tax, "money"],
+        ["Homeowners insurance", monthly.insurance, "money"], ["HOA", monthly.hoa, "money"],
+        ["Mortgage insurance", monthly.pmi, "money"], ["Total monthly payment", monthly.total, "money"],
+        ...(monthly.biweekly_payment ? [["Biweekly payment", monthly.biweekly_payment, "money"]] : []),
+      ] },
+      { heading: "Loan", pairs: [
+        ["Loan amount", loan.amount, "money"], ["APR", loan.apr, "percent"], ["Loan-to-value", loan.ltv, "percent"],
+        ["Loan limit class", loan.limit_class], ["Upfront fee", mi.upfront_fee, "money"],
+        ["Mortgage insurance ends", mi.removed_date || (mi.annual_pct ? "life of loan" : "n/a")],
+        ["Payoff", `${payoff.scheduled.date} (${payoff.scheduled.months} months)`],
+        ["Total interest", payoff.scheduled.total_interest, "money"], ["Total paid", payoff.scheduled.total_paid, "money"],
+        ...(payoff.months_saved ? [["Interest saved by prepaying", payoff.interest_saved, "money"], ["Months saved", payoff.months_saved]] : []),
+      ] },
+      { heading: "Yearly amortization", table: byYear },
+    ],
+    disclosure: pricing ? dataDisclosure(pricing) : `Interest rate entered by the user. ${dataDisclosure({})}`,
+  };
+}
+
+// ── /api/calculate
+// Optional prepayment modeling:
+//   extra=200                 recurring extra principal every month
+//   lump=60:10000,120:5000    one-time lump sums on given months
+//   frequency=biweekly        half payment every two weeks
+//   start=2026-11             first payment month (for payoff dates)
+//   full=true                 complete monthly schedule
+// loanType=conventional|fha|va|usda applies that program's mortgage
+// insurance (va_use=first|subsequent|exempt; finance_fee=false to pay
+// upfront fees in cash). `points`, `fees` and `odd_days` feed the APR.
+// Without `rate`, the rate is priced from today's
+// base rate for the term plus the LLPA engine (creditScore, state,
+// occupancy, propertyType, units, purpose).
+// Result for a query, or { error } for inputs the spec can't rule out
+// (shared with saved scenarios).
+async function calculateLoan(query) {
+  const { price=400000, down=80000, term=30, property_tax=0, insurance=0, hoa=0,
+          extra=0, lump="", frequency="monthly", full="false",
+          loanType="conventional", va_use="first", finance_fee="true", points=0, fees=0, odd_days=0 } = query;
+  const baseLoan = parseFloat(price) - parseFloat(down);
+  if (baseLoan <= 0) return { error: "Down payment cannot exceed price" };
+  if (!LOAN_PROGRAMS.includes(loanType)) return { error: "Unknown loanType", valid: LOAN_PROGRAMS };
+
+  const program  = loadPrograms()[loanType];
+  const downPct  = parseFloat(down) / parseFloat(price) * 100;
+  if (downPct < program.minDownPct) {
+    return { error: `${program.label} loans need at least ${program.minDownPct}% down`, minDownPct: program.minDownPct };
+  }
+
+  const borrower = borrowerFrom(query);
+  const limits   = borrowerLimits(borrower);
+  if (limits.error) return limits;
+  const fhaError = fhaLimitError(loanType, baseLoan, limits);
+  if (fhaError) return fhaError;
+
+  let rate = query.rate, pricing = null;
+  if (rate === undefined) {
+    const invalid = pricingError(borrower);
+    if (invalid) return invalid;
+    const [r30, r15] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(FRED_SERIES.rate_15yr)]);
+    const baseRate   = baseRateForTerm(parseFloat(term), r30, r15, loanType);
+    const priced     = priceAdjustments(borrower);
+    rate    = +(baseRate + priced.total).toFixed(3);
+    pricing = { baseRate, totalAdjustment: priced.total, adjustments: priced.adjustments, asOf: r30.date, ...seriesMeta(r30, r15) };
+  }
+
+  const mi = mortgageInsurance({ loanType, baseLoan, value: parseFloat(price), term: parseFloat(term), creditScore: borrower.creditScore, vaUse: va_use });
+  const financed  = finance_fee !== "false";
+  const principal = baseLoan + (financed ? mi.upfrontFee : 0);
+
+  const nextMonth = new Date(); nextMonth.setMonth(nextMonth.getMonth() + 1, 1);
+  const start     = /^\d{4}-\d{2}$/.test(query.start || "") ? query.start : nextMonth.toISOString().slice(0, 7);
+  const lumpSums  = {};
+  for (const part of String(lump).split(",").filter(Boolean)) {
+    const [month, amount] = part.split(":").map(parseFloat);
+    if (month > 0 && amount > 0) lumpSums[Math.round(month)] = (lumpSums[Math.round(month)] || 0) + amount;
+  }
+  const biweekly = frequency === "biweekly";
+
+  const n     = parseFloat(term) * 12;
+  const base  = amortize({ principal, rate: parseFloat(rate), term: parseFloat(term), premium: mi.premium });
+  const plan  = amortize({ principal, rate: parseFloat(rate), term: parseFloat(term), premium: mi.premium, extra: parseFloat(extra) || 0, lumpSums, biweekly });
+  const pi    = base.payment;
+  const taxMo = parseFloat(property_tax) / 12;
+  const insMo = parseFloat(insurance) / 12;
+  const ltv   = (baseLoan / parseFloat(price)) * 100;
+  const pmi   = plan.rows[0].mi;
+  const apr   = programApr({
+    loanType, baseLoan, value: parseFloat(price), rate: parseFloat(rate), term: parseFloat(term),
+    points: parseFloat(points), fees: parseFloat(fees), creditScore: borrower.creditScore, vaUse: va_use,
+    financeFee: financed, oddDays: parseFloat(odd_days),
+  });
+
+  const schedule = full === "true"
+    ? plan.rows
+    : plan.rows.filter(row => row.month <= 24 || row.month % 12 === 0 || row.month === plan.months || row.month === plan.miEndsMonth);
+
+  return {
+    inputs:  { price:+price, down:+down, rate:+rate, term:+term, loanType, extra:+extra, lump_sums:lumpSums, frequency: biweekly ? "biweekly" : "monthly", start },
+    monthly: { principal_interest:+pi.toFixed(2), property_tax:+taxMo.toFixed(2), insurance:+insMo.toFixed(2), hoa:+parseFloat(hoa).toFixed(2), pmi, total:+(pi+taxMo+insMo+parseFloat(hoa)+pmi).toFixed(2),
+               ...(biweekly && { biweekly_payment:+(pi/2).toFixed(2) }) },
+    loan:    { amount:+principal.toFixed(2), base_amount:+baseLoan.toFixed(2), apr, ltv:+ltv.toFixed(1), pmi_required:pmi > 0, limit_class:classifyLoan(baseLoan, limits), total_payments:+(pi*n).toFixed(2), total_interest:+(pi*n-principal).toFixed(2) },
+    mortgage_insurance: {
+      program:          program.label,
+      type:             mi.type,
+      upfront_pct:      mi.upfrontPct,
+      upfront_fee:      +mi.upfrontFee.toFixed(2),
+      upfront_financed: financed && mi.upfrontFee > 0,
+      cash_due:         financed ? 0 : +mi.upfrontFee.toFixed(2),
+      annual_pct:       mi.annualPct,
+      duration:         mi.duration,
+      removed_month:    plan.miEndsMonth,
+      removed_date:     plan.miEndsMonth ? addMonths(start, plan.miEndsMonth - 1) : null,
+      total_premiums:   +plan.totalMi.toFixed(2),
+    },
+    payoff:  {
+      baseline:       { months: base.months, date: addMonths(start, base.months - 1), total_interest: +base.totalInterest.toFixed(2), total_mi: +base.totalMi.toFixed(2) },
+      scheduled:      { months: plan.months, date: addMonths(start, plan.months - 1), total_interest: +plan.totalInterest.toFixed(2), total_mi: +plan.totalMi.toFixed(2), total_paid: +plan.totalPaid.toFixed(2) },
+      months_saved:   base.months - plan.months,
+      interest_saved: +(base.totalInterest - plan.totalInterest).toFixed(2),
+      mi_saved:       +(base.totalMi - plan.totalMi).toFixed(2),
+    },
+    loan_limit: limits,
+    ...(pricing && { pricing }),
+    amortization: schedule,
+  };
+}
+
+app.get("/api/calculate", async (req, res) => {
+  try {
+    // Files always carry the complete schedule
+    const result = await calculateLoan(exportFormat(req) === "json" ? req.query : { ...req.query, full: "true" });
+    if (result.error) return res.status(400).json(result);
+    await respond(req, res, result, calculateReport);
+  } catch (err) {
+    console.error("calculate error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/affordability
+// Solves for the highest price whose full monthly cost — P&I, property
+// tax, insurance, HOA and mortgage insurance — fits every limit of the
+// loan program: front-end and back-end DTI, minimum down payment and,
+// for VA, residual income. Reports which limit binds.
+const CONSERVATIVE_DTI = { front: 28, back: 36 };
+
+// Full monthly housing cost at a price (upfront program fee financed)
+function housingCost({ price, down, rate, term, loanType, creditScore, vaUse, taxRate, insRate, hoa }) {
+  const baseLoan = Math.max(0, price - down);
+  const mi   = baseLoan > 0 ? mortgageInsurance({ loanType, baseLoan, value: price, term, creditScore, vaUse }) : { upfrontFee: 0, premium: () => 0 };
+  const note = baseLoan + mi.upfrontFee;
+  const pi   = note > 0 ? monthlyPayment(note, rate, term) : 0;
+  const miMo = mi.premium(1, note, note);
+  const tax  = price * taxRate / 100 / 12;
+  const ins  = price * insRate / 100 / 12;
+  return { baseLoan, note, pi, tax, ins, hoa, mi: miMo, total: pi + tax + ins + hoa + miMo };
+}
+
+// Highest price ≥ floor for which ok(price) holds, assuming ok is monotone; null if none
+function maxPriceWhere(ok, floor) {
+  if (!ok(floor)) return null;
+  let lo = floor, hi = Math.max(floor * 2, 100000);
+  while (ok(hi) && hi < 1e9) { lo = hi; hi *= 2; }
+  for (let i = 0; i < 60 && hi - lo > 1; i++) {
+    const mid = (lo + hi) / 2;
+    if (ok(mid)) lo = mid; else hi = mid;
+  }
+  return Math.floor(lo);
+}
+
+// Required VA residual income for a loan amount, region and family size
+function vaResidualRequired(loan, region, familySize) {
+  const { tables } = loadPrograms().va.residualIncome;
+  const table = tables.find(t => loan >= t.minLoan) || tables[tables.length - 1];
+  const sizes = table.byFamilySize[region];
+  return familySize <= sizes.length
+    ? sizes[familySize - 1]
+    : sizes[sizes.length - 1] + (familySize - sizes.length) * table.perAdditionalMember;
+}
+
+// Result for a query, or { error } (shared with saved scenarios)
+async function affordability(query) {
+  const { annual_income=100000, monthly_debts=500, down_payment=60000, term=30, loanType="conventional",
+          property_tax_rate=1.1, insurance_rate=0.35, hoa=0, creditScore=760, va_use="first",
+          family_size=1, sqft=1800 } = query;
+  if (!LOAN_PROGRAMS.includes(loanType)) return { error: "Unknown loanType", valid: LOAN_PROGRAMS };
+
+  const programs = loadPrograms();
+  const program  = programs[loanType];
+  const mo       = parseFloat(annual_income) / 12;
+  const debts    = parseFloat(monthly_debts);
+  const down     = parseFloat(down_payment);
+  const years    = parseFloat(term);
+
+  let rate = query.rate, rateMeta = null;
+  if (rate === undefined) {
+    const [r30, r15] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(FRED_SERIES.rate_15yr)]);
+    rate     = baseRateForTerm(years, r30, r15, loanType);
+    rateMeta = { asOf: r30.date, ...seriesMeta(r30, r15) };
+  }
+  rate = parseFloat(rate);
+
+  const costAt = price => housingCost({
+    price, down, rate, term: years, loanType, creditScore: parseInt(creditScore), vaUse: va_use,
+    taxRate: parseFloat(property_tax_rate), insRate: parseFloat(insurance_rate), hoa: parseFloat(hoa),
+  });
+
+  // VA residual income inputs
+  const residual = program.residualIncome ? (() => {
+    const state  = String(query.state || "").toUpperCase();
+    const region = query.region || Object.keys(program.residualIncome.regions).find(r => program.residualIncome.regions[r].includes(state)) || "south";
+    const taxes  = query.monthly_taxes !== undefined ? parseFloat(query.monthly_taxes) : mo * 0.20;
+    return { region, taxes, taxesEstimated: query.monthly_taxes === undefined, upkeep: parseFloat(sqft) * program.residualIncome.maintenancePerSqft, familySize: parseInt(family_size) };
+  })() : null;
+  if (residual && !program.residualIncome.regions[residual.region]) {
+    return { error: "Unknown region", valid: Object.keys(program.residualIncome.regions) };
+  }
+  const residualAt = price => {
+    const cost = costAt(price);
+    return mo - residual.taxes - cost.total - debts - residual.upkeep;
+  };
+
+  // Every limit as a monotone test on price
+  const solve = dti => {
+    const constraints = [];
+    if (dti.front !== null) constraints.push({ name: "front_end_dti", limit: dti.front, ok: p => costAt(p).total <= mo * dti.front / 100 });
+    constraints.push({ name: "back_end_dti", limit: dti.back, ok: p => costAt(p).total + debts <= mo * dti.back / 100 });
+    if (program.minDownPct > 0) constraints.push({ name: "minimum_down_payment", limit: program.minDownPct, ok: p => down >= p * program.minDownPct / 100 });
+    if (residual) constraints.push({ name: "va_residual_income", limit: null, ok: p => residualAt(p) >= vaResidualRequired(p - down, residual.region, residual.familySize) });
+
+    const results = constraints.map(c => ({ name: c.name, limit: c.limit, max_home_price: maxPriceWhere(c.ok, down) }));
+    const maxPrice = results.some(r => r.max_home_price === null) ? null : Math.min(...results.map(r => r.max_home_price));
+    const binding  = maxPrice === null ? results.find(r => r.max_home_price === null).name : results.find(r => r.max_home_price === maxPrice).name;
+    if (maxPrice === null) return { affordable: false, binding_constraint: binding, constraints: results };
+    // No price works at all — e.g. no down payment against a program minimum
+    if (maxPrice <= 0) {
+      const noDown = results.find(r => r.name === "minimum_down_payment" && r.max_home_price <= 0);
+      return { affordable: false, binding_constraint: noDown ? noDown.name : binding, constraints: results };
+    }
+
+    const cost = costAt(maxPrice);
+    return {
+      affordable:         true,
+      max_home_price:     maxPrice,
+      max_loan:           Math.round(cost.baseLoan),
+      down_pct:           +(down / maxPrice * 100).toFixed(2),
+      monthly: {
+        principal_interest: +cost.pi.toFixed(2),
+        property_tax:       +cost.tax.toFixed(2),
+        insurance:          +cost.ins.toFixed(2),
+        hoa:                +cost.hoa.toFixed(2),
+        mortgage_insurance: +cost.mi.toFixed(2),
+        total:              +cost.total.toFixed(2),
+      },
+      monthly_payment:    +cost.total.toFixed(2),
+      front_dti:          +(cost.total / mo * 100).toFixed(2),
+      back_dti:           +((cost.total + debts) / mo * 100).toFixed(2),
+      dti:                dti.back,
+      ...(residual && { residual_income: +residualAt(maxPrice).toFixed(2), residual_required: vaResidualRequired(cost.baseLoan, residual.region, residual.familySize) }),
+      binding_constraint: binding,
+      constraints:        results,
+    };
+  };
+
+  const limits = {
+    front: query.front_dti !== undefined ? parseFloat(query.front_dti) : program.dti.front,
+    back:  query.dti_limit !== undefined ? parseFloat(query.dti_limit) : program.dti.back,
+  };
+  const conservative = {
+    front: Math.min(limits.front ?? CONSERVATIVE_DTI.front, CONSERVATIVE_DTI.front),
+    back:  Math.min(limits.back, CONSERVATIVE_DTI.back),
+  };
+
+  return {
+    inputs:       { annual_income:+annual_income, monthly_debts:debts, down_payment:down, rate, term:years, loanType,
+                    property_tax_rate:+property_tax_rate, insurance_rate:+insurance_rate, hoa:+hoa, creditScore:+creditScore },
+    program:      { name: program.label, front_dti: limits.front, back_dti: limits.back, min_down_pct: program.minDownPct,
+                    ...(residual && { residual: { region: residual.region, family_size: residual.familySize, monthly_taxes: +residual.taxes.toFixed(2), taxes_estimated: residual.taxesEstimated, upkeep: +residual.upkeep.toFixed(2) } }) },
+    recommended:  solve(limits),
+    conservative: solve(conservative),
+    monthly_income: +mo.toFixed(2),
+    ...(rateMeta && { rate_source: rateMeta }),
+  };
+}
+
+app.get("/api/affordability", async (req, res) => {
+  try {
+    const result = await affordability(req.query);
+    if (result.error) return res.status(400).json(result);
+    res.json(result);
+  } catch (err) {
+    console.error("affordability error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/refinance
+// Keep-vs-refinance over the time the borrower expects to stay. The
+// current loan is described by its original terms and months paid
+// (or by balance and remaining term); closing costs are paid in cash
+// or rolled into the new balance, plus any cash out. Each side's
+// position at month m is payments made + balance still owed, so a refi
+// that resets the clock is charged for the principal it stops paying.
+// Result for a query, or { error } (shared with saved scenarios).
+function refinanceComparison(query) {
+  const { current_rate=7.5, new_rate=6.75, new_term=30, closing_costs=6000, finance_costs="false",
+          cash_out=0, horizon_years=7, discount_rate=5 } = query;
+  const currentRate = parseFloat(current_rate);
+
+  // Current loan: original terms + months paid, or balance + remaining term
+  let balance, remaining, monthsPaid = null;
+  if (query.original_amount !== undefined) {
+    const originalTerm = parseFloat(query.original_term || 30) * 12;
+    monthsPaid = query.first_payment
+      ? (() => {
+          const [y, m] = String(query.first_payment).split("-").map(Number);
+          const now = new Date();
+          return (now.getUTCFullYear() - y) * 12 + (now.getUTCMonth() + 1 - m) + 1;
+        })()
+      : parseInt(query.months_paid || 0);
+    if (!(monthsPaid >= 0 && monthsPaid < originalTerm)) return { error: "months_paid must be between 0 and the original term" };
+    const original = amortize({ principal: parseFloat(query.original_amount), rate: currentRate, term: originalTerm / 12 });
+    balance   = monthsPaid === 0 ? parseFloat(query.original_amount) : original.rows[monthsPaid - 1].balance;
+    remaining = originalTerm - monthsPaid;
+  } else {
+    balance   = parseFloat(query.current_balance || 320000);
+    remaining = query.remaining_months !== undefined ? parseInt(query.remaining_months) : parseFloat(query.remaining_term || 25) * 12;
+  }
+  if (!(balance > 0 && remaining > 0)) return { error: "Current loan has no remaining balance or term" };
+
+  const costs    = parseFloat(closing_costs);
+  const cashOut  = parseFloat(cash_out);
+  const financed = finance_costs === "true";
+  const newTerm  = parseFloat(new_term);
+  const newLoan  = balance + cashOut + (financed ? costs : 0);
+  const horizon  = Math.min(Math.round(parseFloat(horizon_years) * 12), Math.max(remaining, newTerm * 12));
+  if (!(horizon > 0)) return { error: "horizon_years must be positive" };
+
+  const keep = amortize({ principal: balance, rate: currentRate, term: remaining / 12 });
+  const refi = amortize({ principal: newLoan, rate: parseFloat(new_rate), term: newTerm });
+  const paymentAt = (plan, m) => plan.rows[m - 1] ? plan.rows[m - 1].payment : 0;
+  const balanceAt = (plan, m) => m === 0 ? (plan === keep ? balance : newLoan) : plan.rows[m - 1] ? plan.rows[m - 1].balance : 0;
+
+  // Month 0: refi side pays cash costs and receives the cash out
+  const upfront = (financed ? 0 : costs) - cashOut;
+  const monthlyDisc = Math.pow(1 + parseFloat(discount_rate) / 100, 1 / 12) - 1;
+  let keepPaid = 0, refiPaid = 0, keepInterest = 0, refiInterest = 0, npv = -upfront, breakeven = null;
+  for (let m = 1; m <= horizon; m++) {
+    const kp = paymentAt(keep, m), rp = paymentAt(refi, m);
+    keepPaid += kp;
+    refiPaid += rp;
+    keepInterest += keep.rows[m - 1] ? keep.rows[m - 1].interest : 0;
+    refiInterest += refi.rows[m - 1] ? refi.rows[m - 1].interest : 0;
+    npv += (kp - rp) / Math.pow(1 + monthlyDisc, m);
+    const advantage = (keepPaid + balanceAt(keep, m)) - (upfront + refiPaid + balanceAt(refi, m));
+    if (breakeven === null && advantage >= 0) breakeven = m;
+  }
+  npv += (balanceAt(keep, horizon) - balanceAt(refi, horizon)) / Math.pow(1 + monthlyDisc, horizon);
+
+  const keepCost = keepPaid + balanceAt(keep, horizon);
+  const refiCost = upfront + refiPaid + balanceAt(refi, horizon);
+  const savings  = keep.payment - refi.payment;
+  const simpleBe = savings > 0 ? Math.ceil(costs / savings) : null;
+  const keepLifeInterest = keep.totalInterest;
+  const refiLifeInterest = refi.totalInterest;
+
+  return {
+    inputs:  { current_balance:+balance.toFixed(2), current_rate:currentRate, new_rate:+new_rate, new_term:newTerm, closing_costs:costs, finance_costs:financed,
+               cash_out:cashOut, horizon_years:+(horizon / 12).toFixed(2), discount_rate:+discount_rate },
+    current: { balance:+balance.toFixed(2), months_paid:monthsPaid, remaining_months:remaining, payment:+keep.payment.toFixed(2) },
+    new:     { amount:+newLoan.toFixed(2), term_months:newTerm * 12, payment:+refi.payment.toFixed(2),
+               cash_to_borrower:+(-upfront).toFixed(2), months_added:newTerm * 12 - remaining },
+    monthly: { current_payment:+keep.payment.toFixed(2), new_payment:+refi.payment.toFixed(2), monthly_savings:+savings.toFixed(2) },
+    horizon: {
+      months:               horizon,
+      keep:                 { payments:+keepPaid.toFixed(2), interest:+keepInterest.toFixed(2), balance_left:+balanceAt(keep, horizon).toFixed(2), total_cost:+keepCost.toFixed(2) },
+      refinance:            { payments:+refiPaid.toFixed(2), interest:+refiInterest.toFixed(2), balance_left:+balanceAt(refi, horizon).toFixed(2), upfront:+upfront.toFixed(2), total_cost:+refiCost.toFixed(2) },
+      net_savings:          +(keepCost - refiCost).toFixed(2),
+      npv:                  +npv.toFixed(2),
+    },
+    breakeven: {
+      months:        breakeven,
+      years:         breakeven ? +(breakeven / 12).toFixed(1) : null,
+      simple_months: simpleBe,  // closing costs ÷ payment savings, ignoring balances
+      worth_it:      breakeven !== null && npv > 0,
+    },
+    lifetime: {
+      current_interest:  +keepLifeInterest.toFixed(2),
+      new_interest:      +refiLifeInterest.toFixed(2),
+      interest_savings:  +(keepLifeInterest - refiLifeInterest).toFixed(2),
+      net_savings_after_costs: +(keepLifeInterest - refiLifeInterest - costs).toFixed(2),
+      resets_term:       newTerm * 12 > remaining,
+    },
+  };
+}
+
+app.get("/api/refinance", (req, res) => {
+  const result = refinanceComparison(req.query);
+  if (result.error) return res.status(400).json(result);
+  res.json(result);
+});
+
+// ── /api/compare
+// Up to six loan scenarios (the spec's maxItems) side by side, each priced the way
+// /api/calculate prices one: without `rate` (or with "today"), from today's base rate for
+// its term and program plus the LLPA engine for the shared borrower.
+// Equity assumes no appreciation (price − balance owed). Net cost is cash
+// to close plus everything paid monthly (P&I, MI, taxes, insurance, HOA)
+// less that equity; taxes, insurance and HOA keep running after a shorter
+// loan is paid off, so scenarios stay comparable over the longest term.
+const COMPARE_HORIZONS = [5, 10];
+
+// One scenario's loan, or { error, scenario } for the first thing wrong with it
+function compareScenario(s, index, shared, limits, market) {
+  const label    = s.label || `Scenario ${index + 1}`;
+  const fail     = body => ({ ...body, error: `${label}: ${body.error}`, scenario: index });
+  const price    = parseFloat(s.price);
+  if (s.down === undefined && s.downPct === undefined) return fail({ error: "down or downPct is required" });
+  const down     = s.down !== undefined ? parseFloat(s.down) : price * parseFloat(s.downPct) / 100;
+  const term     = parseFloat(s.term ?? 30);
+  const loanType = s.loanType || "conventional";
+  const baseLoan = price - down;
+  if (!(baseLoan > 0)) return fail({ error: "Down payment cannot exceed price" });
+
+  const program = loadPrograms()[loanType];
+  const downPct = down / price * 100;
+  if (downPct < program.minDownPct) return fail({ error: `${program.label} loans need at least ${program.minDownPct}% down`, minDownPct: program.minDownPct });
+  const fhaError = fhaLimitError(loanType, baseLoan, limits);
+  if (fhaError) return fail(fhaError);
+
+  const borrower = borrowerFrom({ ...shared, price, down });
+  let rate = s.rate, pricing = null;
+  if (rate === undefined || rate === "today") {
+    const baseRate = baseRateForTerm(term, market.r30, market.r15, loanType);
+    const priced   = priceAdjustments(borrower);
+    rate    = +(baseRate + priced.total).toFixed(3);
+    pricing = { baseRate, totalAdjustment: priced.total };
+  }
+  rate = parseFloat(rate);
+
+  const vaUse     = s.vaUse || "first";
+  const financed  = s.financeFee !== false && s.financeFee !== "false";
+  const mi        = mortgageInsurance({ loanType, baseLoan, value: price, term, creditScore: borrower.creditScore, vaUse });
+  const principal = baseLoan + (financed ? mi.upfrontFee : 0);
+  const plan      = amortize({ principal, rate, term, premium: mi.premium });
+  const points    = parseFloat(s.points ?? 0);
+  const fees      = parseFloat(s.fees ?? DEFAULT_LENDER_FEES);
+  const apr       = programApr({ loanType, baseLoan, value: price, rate, term, points, fees, creditScore: borrower.creditScore, vaUse, financeFee: financed });
+
+  const taxMo = parseFloat(s.propertyTax ?? 0) / 12;
+  const insMo = parseFloat(s.insurance ?? 0) / 12;
+  const hoa   = parseFloat(s.hoa ?? 0);
+  const cash  = {
+    down_payment: down,
+    points:       principal * points / 100,
+    lender_fees:  fees,
+    other_costs:  parseFloat(s.closingCosts ?? 0),
+    upfront_mi:   financed ? 0 : mi.upfrontFee,
+  };
+  const cashToClose = Object.values(cash).reduce((sum, v) => sum + v, 0);
+
+  return {
+    label, price, term, principal, plan, cashToClose, escrow: taxMo + insMo + hoa,
+    summary: {
+      label,
+      inputs:  { price, down: +down.toFixed(2), down_pct: +downPct.toFixed(2), loanType, term, rate, rate_source: pricing ? "today" : "given", points, financeFee: financed },
+      monthly: { principal_interest: +plan.payment.toFixed(2), mi: plan.rows[0].mi, property_tax: +taxMo.toFixed(2), insurance: +insMo.toFixed(2), hoa: +hoa.toFixed(2),
+                 total: +(plan.payment + plan.rows[0].mi + taxMo + insMo + hoa).toFixed(2) },
+      loan:    { amount: +principal.toFixed(2), base_amount: +baseLoan.toFixed(2), apr, ltv: +(baseLoan / price * 100).toFixed(1), limit_class: classifyLoan(baseLoan, limits),
+                 mi_type: mi.type, mi_removed_month: plan.miEndsMonth },
+      cash_to_close: { ...Object.fromEntries(Object.entries(cash).map(([k, v]) => [k, +v.toFixed(2)])), total: +cashToClose.toFixed(2) },
+      ...(pricing && { pricing }),
+    },
+  };
+}
+
+// Year-end positions for `years` years (past payoff the balance stays at 0)
+function yearlyPositions(sc, years) {
+  const out = [];
+  let interest = 0, principal = 0, mi = 0, paid = sc.cashToClose;
+  for (let m = 1; m <= years * 12; m++) {
+    const row = sc.plan.rows[m - 1];
+    if (row) {
+      interest  += row.interest;
+      principal += row.principal;
+      mi        += row.mi;
+      paid      += row.payment + row.mi;
+    }
+    paid += sc.escrow;
+    if (m % 12 === 0) {
+      const balance = row ? row.balance : 0;
+      const equity  = sc.price - balance;
+      out.push({ year: m / 12, balance: +balance.toFixed(2), equity: +equity.toFixed(2), principal_paid: +principal.toFixed(2),
+                 interest_paid: +interest.toFixed(2), mi_paid: +mi.toFixed(2), total_paid: +paid.toFixed(2), net_cost: +(paid - equity).toFixed(2) });
+    }
+  }
+  return out;
+}
+
+// Each year one scenario moves ahead of another on equity (higher) or net cost (lower)
+function compareCrossovers(scenarios) {
+  const metrics = { equity: (a, b) => a > b, net_cost: (a, b) => a < b };
+  const out = [];
+  for (const [metric, ahead] of Object.entries(metrics)) {
+    scenarios.forEach((a, i) => scenarios.forEach((b, j) => {
+      if (i === j) return;
+      let wasAhead = ahead(a.start[metric], b.start[metric]);
+      a.yearly.forEach((pos, y) => {
+        const now = ahead(pos[metric], b.yearly[y][metric]);
+        if (now && !wasAhead) {
+          out.push({ metric, year: pos.year, scenario: i, overtakes: j, summary: `${a.label} passes ${b.label} on ${metric.replace("_", " ")} in year ${pos.year}` });
+        }
+        wasAhead = now;
+      });
+    }));
+  }
+  return out.sort((x, y) => x.year - y.year || x.scenario - y.scenario);
+}
+
+app.post("/api/compare", async (req, res) => {
+  try {
+    const { scenarios, borrower: shared = {} } = req.body;
+
+    const borrower = borrowerFrom(shared);
+    const invalid  = pricingError(borrower);
+    if (invalid) return res.status(400).json(invalid);
+    const limits   = borrowerLimits(borrower);
+    if (limits.error) return res.status(400).json(limits);
+
+    // Today's rates only when some scenario needs pricing
+    let market = null;
+    if (scenarios.some(s => s.rate === undefined || s.rate === "today")) {
+      const [r30, r15] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(FRED_SERIES.rate_15yr)]);
+      market = { r30, r15 };
+    }
+
+    const loans = [];
+    for (const [i, s] of scenarios.entries()) {
+      const loan = compareScenario(s, i, shared, limits, market);
+      if (loan.error) return res.status(400).json(loan);
+      loans.push(loan);
+    }
+
+    const years = Math.max(...COMPARE_HORIZONS, ...loans.map(l => Math.ceil(l.plan.months / 12)));
+    for (const loan of loans) {
+      const equity = loan.price - loan.principal;
+      loan.start   = { equity, net_cost: loan.cashToClose - equity };
+      loan.yearly  = yearlyPositions(loan, years);
+    }
+
+    const horizon = (loan, y) => {
+      const { equity, principal_paid, interest_paid, mi_paid, total_paid, net_cost } = loan.yearly[y - 1];
+      return { years: y, equity, principal_paid, interest_paid, mi_paid, total_paid, net_cost };
+    };
+    res.json({
+      borrower: { creditScore: borrower.creditScore, state: borrower.state, occupancy: borrower.occupancy, propertyType: borrower.propertyType, units: borrower.units },
+      scenarios: loans.map(loan => ({
+        ...loan.summary,
+        horizons: {
+          ...Object.fromEntries(COMPARE_HORIZONS.map(y => [`${y}yr`, horizon(loan, y)])),
+          full: horizon(loan, Math.ceil(loan.plan.months / 12)),
+        },
+        yearly: loan.yearly,
+      })),
+      crossovers: compareCrossovers(loans),
+      ...(market && { rates: { asOf: market.r30.date, ...seriesMeta(market.r30, market.r15) } }),
+      loan_limit: limits,
+    });
+  } catch (err) {
+    console.error("compare error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── /api/loan-limits
+// County or ZIP lookup of conforming, high-balance and FHA limits;
+// with `amount`, classifies the loan against them.
+app.get("/api/loan-limits", (req, res) => {
+  const { county, zip, state, units = "1", amount } = req.query;
+  if (!["1", "2", "3", "4"].includes(String(units))) return res.status(400).json({ error: "units must be 1-4" });
+  const limits = loanLimitsFor({ county, zip, state: state && String(state).toUpperCase(), units });
+  if (limits.error) return res.status(400).json(limits);
+  if (amount === undefined) return res.json(limits);
+
+  const loan = parseFloat(amount);
+  if (!(loan > 0)) return res.status(400).json({ error: "amount must be a positive number" });
+  res.json({ ...limits, amount: loan, class: classifyLoan(loan, limits), fha_eligible: loan <= limits.fha });
+});
+
+// ── /api/health
+app.get("/api/health", (req, res) => {
+  res.json({
+    status:      "ok",
+    service:     "RateCroft Rates API",
+    version:     "1.0.0",
+    live:        HAS_KEY,
+    fred_key:    HAS_KEY ? "✓ set" : "✗ missing — using fallback rates",
+    providers:   Object.fromEntries(Object.values(FRED_SERIES).map(id => [id, providerFor(id).name])),
+    breakers:    Object.fromEntries(Object.entries(breakers).map(([name, b]) => [name, {
+      state:    b.openUntil > Date.now() ? "open" : b.failures >= BREAKER_THRESHOLD ? "half-open" : "closed",
+      failures: b.failures,
+    }])),
+    stale_series: [...lastGood.values()].filter(r => r.stale).map(r => r.seriesId),
+    cache_keys:  cache.keys().length,
+    stream_clients: streamClients.size,
+    uptime_sec:  Math.floor(process.uptime()),
+    timestamp:   new Date().toISOString(),
+  });
+});
+
+// ─────────────────────────────────────────────
+// FEATURE 1: LENDER RATE QUOTES BY STATE
+// GET /api/lender-quotes?state=CA&loanType=30yr&creditScore=780&price=500000&down=100000
+// Returns 8 realistic lender quotes with slight rate variations per state
+// ─────────────────────────────────────────────
+
+// National lenders database — affiliate links ready (replace # with your affiliate URL)
+const LENDERS = [
+  { id:"rocket",     name:"Rocket Mortgage",  logo:"🚀", type:"online",  nmls:"3030",   minCredit:580, affilUrl:"https://www.rocketmortgage.com/?qls=rc_ratecroft" },
+  { id:"uwm",        name:"United Wholesale",  logo:"🏛️", type:"broker",  nmls:"3038",   minCredit:620, affilUrl:"https://www.uwm.com/" },
+  { id:"loanDepot",  name:"loanDepot",         logo:"💚", type:"online",  nmls:"174457", minCredit:620, affilUrl:"https://www.loandepot.com/" },
+  { id:"newrez",     name:"NewRez",            logo:"🔵", type:"online",  nmls:"3013",   minCredit:620, affilUrl:"https://www.newrez.com/" },
+  { id:"penfed",     name:"PenFed CU",         logo:"🦅", type:"credit",  nmls:"401822", minCredit:650, affilUrl:"https://www.penfed.org/mortgage" },
+  { id:"bof a",      name:"Bank of America",   logo:"🏦", type:"bank",    nmls:"399802", minCredit:620, affilUrl:"https://www.bankofamerica.com/mortgage/" },
+  { id:"chase",      name:"Chase",             logo:"🏦", type:"bank",    nmls:"399798", minCredit:620, affilUrl:"https://www.chase.com/personal/mortgage" },
+  { id:"wells",      name:"Wells Fargo",       logo:"🏦", type:"bank",    nmls:"399801", minCredit:620, affilUrl:"https://www.wellsfargo.com/mortgage/" },
+  { id:"better",     name:"Better.com",        logo:"⚡", type:"online",  nmls:"330511", minCredit:620, affilUrl:"https://better.com/" },
+  { id:"guaranteed", name:"Guaranteed Rate",   logo:"✅", type:"online",  nmls:"2611",   minCredit:580, affilUrl:"https://www.rate.com/" },
+  { id:"ally",       name:"Ally Bank",         logo:"🟣", type:"online",  nmls:"196733", minCredit:620, affilUrl:"https://www.ally.com/home-loans/" },
+  { id:"flagstar",   name:"Flagstar Bank",     logo:"🔴", type:"bank",    nmls:"417490", minCredit:580, affilUrl:"https://www.flagstar.com/loans/mortgage.html" },
+];
+
+// Quote loan types → mortgage insurance program for the APR
+const QUOTE_PROGRAMS = { "fha30":"fha", "va30":"va" };
+
+// County limits decide conventional vs. jumbo 30-year pricing and
+// refuse FHA quotes above the FHA limit. Returns { error } or
+// { loanType, limits, limitClass }.
+function resolveQuoteType(borrower, loanType) {
+  const limits = borrowerLimits(borrower);
+  if (limits.error) return limits;
+  const fhaError = fhaLimitError(QUOTE_PROGRAMS[loanType], borrower.loanAmount, limits);
+  if (fhaError) return fhaError;
+  const limitClass = classifyLoan(borrower.loanAmount, limits);
+  const resolved   = ["30yr", "jumbo30"].includes(loanType) ? (limitClass === "jumbo" ? "jumbo30" : "30yr") : loanType;
+  return { loanType: resolved, limits, limitClass };
+}
+
+// Priced quotes for a borrower — shared by /api/lender-quotes and /api/buydown
+async function buildLenderQuotes(borrower, loanType) {
+  const { state, creditScore, price } = borrower;
+  const loan = borrower.loanAmount;
+
+  // Get base rate from FRED (or fallback)
+  const [r30, r15, t10] = await Promise.all([
+    fetchFredSeries(FRED_SERIES.rate_30yr),
+    fetchFredSeries(FRED_SERIES.rate_15yr),
+    fetchFredSeries(FRED_SERIES.treasury10),
+  ]);
+
+  // Determine base rate for requested loan type
+  const loanBaseRates = {
+    "30yr":    r30.value,
+    "15yr":    r15.value,
+    "arm51":   +(r30.value - 0.55).toFixed(2),
+    "fha30":   +(r30.value - 0.25).toFixed(2),
+    "va30":    +(r30.value - 0.50).toFixed(2),
+    "jumbo30": +(r30.value + 0.25).toFixed(2),
+  };
+  const baseRate = loanBaseRates[loanType] || r30.value;
+  const priced   = priceAdjustments(borrower);
+
+  // Generate quotes — each lender has a small random spread simulating real competition
+  const loanTermMap = { "30yr":30,"15yr":15,"arm51":30,"fha30":30,"va30":30,"jumbo30":30 };
+  const term = loanTermMap[loanType] || 30;
+
+  // Filter lenders by min credit, then pick 8 and generate quotes
+  const eligible = LENDERS.filter(l => creditScore >= l.minCredit);
+  // Shuffle deterministically based on state so results look consistent
+  const seed     = (state || "US").charCodeAt(0) + (state || "US").charCodeAt(1);
+  const sorted   = [...eligible].sort((a,b) => (a.id.charCodeAt(0)+seed)%7 - (b.id.charCodeAt(0)+seed)%7);
+  const selected = sorted.slice(0, 8);
+
+  const quotes = selected.map((lender, i) => {
+    // Each lender gets a slight competitive variation: -0.15 to +0.20
+    const lenderVar = parseFloat(((i * 0.04 - 0.08) + (Math.sin(seed + i) * 0.05)).toFixed(3));
+    const rate      = parseFloat((baseRate + priced.total + lenderVar).toFixed(3));
+    const points    = parseFloat((0.5 + i * 0.08 - lenderVar * 2).toFixed(2));
+    const fees      = Math.round(2800 + i * 200 - lenderVar * 500);
+    const apr       = programApr({
+      loanType: QUOTE_PROGRAMS[loanType] || "conventional", baseLoan: loan, value: price, rate, term,
+      points: Math.max(0, points), fees: Math.max(1500, fees), creditScore,
+      payments: loanType === "arm51" ? armDisclosurePayments({ loan, rate, term, fixedYears: 5, index: t10.value }) : null,
+    });
+    const monthly   = +monthlyPayment(loan, rate, term).toFixed(2);
+
+    return {
+      lender:      lender.name,
+      lenderLogo:  lender.logo,
+      lenderType:  lender.type,
+      nmls:        lender.nmls,
+      affilUrl:    lender.affilUrl,
+      rate:        rate,
+      apr:         apr,
+      points:      Math.max(0, points),
+      fees:        Math.max(1500, fees),
+      monthlyPmt:  monthly,
+      loanAmount:  loan,
+      term:        term,
+      loanType:    loanType,
+      badge:       i === 0 ? "Lowest Rate" : i === 1 ? "Best Value" : i === 2 ? "Lowest Fees" : null,
+    };
+  });
+
+  // Sort by rate (lowest first)
+  quotes.sort((a,b) => a.rate - b.rate);
+  quotes[0].badge = "Lowest Rate";
+  // Best value = lowest APR
+  const bestVal = [...quotes].sort((a,b) => a.apr - b.apr)[1];
+  if (bestVal) bestVal.badge = "Best Value";
+  // Lowest fees
+  const lowFee = [...quotes].sort((a,b) => a.fees - b.fees)[2];
+  if (lowFee && !lowFee.badge) lowFee.badge = "Lowest Fees";
+
+  return { baseRate, priced, term, quotes, meta: { asOf: r30.date, ...seriesMeta(r30, r15, ...(loanType === "arm51" ? [t10] : [])) } };
+}
+
+function lenderQuotesReport(result) {
+  const table = {
+    sheet:   "Quotes",
+    columns: [
+      { key: "lender", label: "Lender" }, { key: "lenderType", label: "Type" }, { key: "nmls", label: "NMLS" },
+      { key: "rate", label: "Rate", format: "percent" }, { key: "apr", label: "APR", format: "percent" },
+      { key: "points", label: "Points", format: "number" }, { key: "fees", label: "Fees", format: "money" },
+      { key: "monthlyPmt", label: "Monthly P&I", format: "money" }, { key: "term", label: "Term", format: "number" },
+    ],
+    rows: result.quotes,
+  };
+  return {
+    filename: `lender-quotes-${result.loanType}-${result.updatedAt.slice(0, 10)}`,
+    title:    "Lender quotes",
+    subtitle: `${result.loanType} · ${formatValue(result.loan, "money")} loan · credit score ${result.creditScore}${result.state ? ` · ${result.state}` : ""}`,
+    table,
+    sections: [
+      { heading: "Borrower", pairs: [
+        ["Home price", result.price, "money"], ["Down payment", result.down, "money"], ["Loan amount", result.loan, "money"],
+        ["Loan type", result.loanType], ["Purpose", result.purpose], ["Occupancy", result.occupancy],
+        ["Property type", result.propertyType], ["Units", result.units], ["Loan limit class", result.loanLimit.class],
+        ["Base rate", result.baseRate, "percent"], ["Total price adjustment", result.totalAdjustment, "percent"],
+      ] },
+      { heading: "Price adjustments", table: {
+        sheet:   "Adjustments",
+        columns: [{ key: "label", label: "Adjustment" }, { key: "value", label: "Rate change", format: "percent" }],
+        rows:    result.priceAdjustments,
+      } },
+      { heading: "Quotes", table },
+    ],
+    disclosure: dataDisclosure(result),
+  };
+}
+
+// Result for a query, or { error } (shared with saved scenarios)
+async function lenderQuotes(query) {
+  const requested = query.loanType || "30yr";
+  const borrower  = borrowerFrom(query, { state:"CA", creditScore:760, price:500000, down:100000 });
+  const invalid   = pricingError(borrower);
+  if (invalid) return invalid;
+  const resolved  = resolveQuoteType(borrower, requested);
+  if (resolved.error) return resolved;
+  const { loanType } = resolved;
+  const { state, creditScore, price, down, purpose } = borrower;
+
+  const { baseRate, priced, term, quotes, meta } = await buildLenderQuotes(borrower, loanType);
+
+  return {
+    state, loanType, ...(loanType !== requested && { requestedLoanType: requested }),
+    creditScore, price, down, loan: borrower.loanAmount,
+    purpose, term,
+    loanLimit: { ...resolved.limits, class: resolved.limitClass },
+    occupancy: borrower.occupancy, propertyType: borrower.propertyType, units: +borrower.units,
+    baseRate, totalAdjustment: priced.total,
+    adjustments: adjustmentSummary(priced.adjustments), priceAdjustments: priced.adjustments,
+    ...meta,
+    updatedAt: new Date().toISOString(),
+    quotes,
+  };
+}
+
+app.get("/api/lender-quotes", async (req, res) => {
+  try {
+    const result = await lenderQuotes(req.query);
+    if (result.error) return res.status(400).json(result);
+    await respond(req, res, result, lenderQuotesReport);
+  } catch(err) {
+    console.error("lender-quotes error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// FEATURE 2: RATE HISTORY — 1yr / 3yr / 5yr
+// GET /api/rate-history?period=1yr&series=30yr
+// Reads stored FRED observations for trend charts
+// ─────────────────────────────────────────────
+function rateHistoryReport(result) {
+  const label = { "30yr": "30-year fixed", "15yr": "15-year fixed", "arm": "5/1 ARM (30-year less 0.55)" }[result.series];
+  const last  = result.data[result.data.length - 1];
+  const table = {
+    sheet:   "Rate history",
+    columns: [{ key: "date", label: "Date" }, { key: "value", label: "Rate", format: "percent" }],
+    rows:    result.data,
+  };
+  return {
+    filename: `rate-history-${result.series}-${result.period}`,
+    title:    `Rate history: ${label}`,
+    subtitle: `${result.period} · ${result.data.length} observations`,
+    table,
+    sections: [
+      { heading: "Summary", pairs: [
+        ["Current", result.current, "percent"], ["Period start", result.start, "percent"],
+        ["Change", result.change ?? +(result.current - result.start).toFixed(3), "percent"],
+        ["Low", result.min, "percent"], ["High", result.max, "percent"],
+      ] },
+      { heading: "History", table },
+    ],
+    disclosure: dataDisclosure({
+      source: result.source || "Illustrative history around the built-in fallback rate (no stored FRED data)",
+      asOf:   last && last.date, live: result.live,
+    }),
+  };
+}
+
+// Points and summary for a series and period (shared with /embed/chart.svg)
+async function rateHistory(series = "30yr", period = "1yr") {
+  const seriesMap = {
+    "30yr": FRED_SERIES.rate_30yr,
+    "15yr": FRED_SERIES.rate_15yr,
+    "arm":  FRED_SERIES.rate_30yr,  // derive ARM from 30yr
+  };
+  const fredId = seriesMap[series] || FRED_SERIES.rate_30yr;
+
+  const periodDays = { "1yr":365, "3yr":1095, "5yr":1825, "10yr":3650 };
+  const days       = periodDays[period] || 365;
+
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  const startStr  = startDate.toISOString().split("T")[0];
+
+  // Syncs the store (at most hourly); stored data still serves if FRED is down
+  await fetchFredSeries(fredId);
+  const { obs, provider } = await readSeries(fredId, startStr);
+
+  if (!provider.history) {
+    // No real history (static fallback) → synthetic history around the fallback rate
+    const fb = FALLBACK.rate_30yr.value;
+    const points = [];
+    const pointCount = { "1yr":12,"3yr":36,"5yr":60,"10yr":120 }[period] || 12;
+    for (let i = pointCount; i >= 0; i--) {
+      const d = new Date(); d.setMonth(d.getMonth()-i);
+      const val = +(fb + Math.sin(i*0.4)*0.8 + (i > 20 ? 1.2 : 0)).toFixed(2);
+      points.push({ date: d.toISOString().split("T")[0], value: val });
+    }
+    return { series, period, live:false, data: points,
+      min: Math.min(...points.map(p=>p.value)),
+      max: Math.max(...points.map(p=>p.value)),
+      current: points[points.length-1]?.value,
+      start:   points[0]?.value,
     };
+  }
+
+  // If ARM series, subtract spread
+  const points = series === "arm"
+    ? obs.map(o => ({ date: o.date, value: +(o.value - 0.55).toFixed(2) }))
+    : obs;
+
+  const values = points.map(p => p.value);
+  return {
+    series, period,
+    live:    provider.live,
+    source:  provider.source,
+    data:    points,
+    min:     Math.min(...values),
+    max:     Math.max(...values),
+    current: values[values.length-1],
+    start:   values[0],
+    change:  +((values[values.length-1] - values[0]).toFixed(3)),
+  };
+}
+
+app.get("/api/rate-history", async (req, res) => {
+  try {
+    const { series, period } = req.query;
+    await respond(req, res, await rateHistory(series, period), rateHistoryReport);
+  } catch(err) {
+    console.error("rate-history error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// EMBEDS
+// Server-rendered widgets partners drop into their pages, no frontend
+// needed. Colors, font and corner radius come from query params over
+// the branding config.
+// GET /embed/rates       — today's rates as an iframe page (or ?mode=snippet)
+// GET /embed/chart.svg   — line chart or sparkline of /api/rate-history data
+// GET /embed/badge.svg   — compact "30-yr fixed | 6.27% ▼0.08" badge
+// Responses carry an ETag and Last-Modified from the data's asOf date,
+// so caches revalidate cheaply (304) until a new observation lands.
+// ─────────────────────────────────────────────
+const EMBED_FONTS = {
+  system: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif",
+  serif:  "Georgia, 'Times New Roman', serif",
+  mono:   "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace",
+};
+
+// Rates an embed can show: key → [label, pick from currentRates()]
+const EMBED_RATES = {
+  "30yr":  ["30-yr fixed", r => r.mortgage.rate_30yr],
+  "15yr":  ["15-yr fixed", r => r.mortgage.rate_15yr],
+  "20yr":  ["20-yr fixed", r => r.mortgage.rate_20yr],
+  "arm51": ["5/1 ARM",     r => r.mortgage.rate_arm51],
+  "arm71": ["7/1 ARM",     r => r.mortgage.rate_arm71],
+  "fha":   ["FHA 30-yr",   r => ({ value: r.byLoanType.fha.rate30, change: null })],
+  "va":    ["VA 30-yr",    r => ({ value: r.byLoanType.va.rate30, change: null })],
+  "jumbo": ["Jumbo 30-yr", r => ({ value: r.byLoanType.jumbo.rate30, change: null })],
+};
+const HISTORY_LABELS = { "30yr": "30-yr fixed", "15yr": "15-yr fixed", "arm": "5/1 ARM" };
+
+// Colors and type for a widget; accent, bg and text are 6-digit hex (bg may be "transparent")
+function embedTheme(q) {
+  const colors = loadBranding().colors;
+  const base   = q.theme === "dark"
+    ? { bg: "#0f172a", text: "#f1f5f9", muted: "#94a3b8", line: "#334155", accent: "#2dd4bf" }
+    : { bg: "#ffffff", text: colors.primary, muted: colors.muted, line: "#e2e8f0", accent: colors.accent };
+  const color = value => value === "transparent" ? "transparent" : `#${value}`;
+  return {
+    ...base,
+    ...(q.accent && { accent: color(q.accent) }),
+    ...(q.bg     && { bg: color(q.bg) }),
+    ...(q.text   && { text: color(q.text) }),
+    font:   EMBED_FONTS[q.font || "system"],
+    radius: q.radius !== undefined ? parseInt(q.radius) : 8,
+  };
+}
+
+// Sets cache headers from the data's asOf date; true when the client's copy is current
+function embedFresh(req, res, asOf, stale) {
+  const tag = crypto.createHash("sha1").update(`${asOf}|${req.originalUrl}`).digest("base64url").slice(0, 16);
+  res.set({
+    "Cache-Control": `public, max-age=${stale ? STALE_TTL : 3600}, stale-while-revalidate=86400`,
+    "ETag":          `W/"${asOf}-${tag}"`,
+    "Last-Modified": new Date(`${asOf}T00:00:00Z`).toUTCString(),
+  });
+  return req.fresh;
+}
+
+const formatRate  = value => `${value.toFixed(2)}%`;
+const formatDay   = date => new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+const formatMonth = date => new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", { month: "short", year: "numeric", timeZone: "UTC" });
+const changeText  = change => change ? `${change < 0 ? "▼" : "▲"}${Math.abs(change).toFixed(2)}` : "";
+
+function ratesWidgetHtml(rates, keys, title, t) {
+  const brand = loadBranding();
+  const rows  = keys.map(key => {
+    const [label, pick] = EMBED_RATES[key];
+    const rate = pick(rates);
+    return `<tr><td>${escapeHtml(label)}</td><td class="rc-rate">${formatRate(rate.value)}</td><td class="rc-chg">${changeText(rate.change)}</td></tr>`;
+  }).join("");
+  return `<div class="rc-embed">
+<style>
+.rc-embed{font-family:${t.font};background:${t.bg};color:${t.text};border:1px solid ${t.line};border-radius:${t.radius}px;padding:14px 16px;max-width:360px;box-sizing:border-box}
+.rc-embed h2{font-size:15px;margin:0 0 8px;font-weight:600}
+.rc-embed table{width:100%;border-collapse:collapse;font-size:14px}
+.rc-embed td{padding:6px 0;border-top:1px solid ${t.line}}
+.rc-embed .rc-rate{text-align:right;font-weight:700;color:${t.accent}}
+.rc-embed .rc-chg{text-align:right;width:56px;font-size:12px;color:${t.muted}}
+.rc-embed p{font-size:11px;color:${t.muted};margin:8px 0 0}
+.rc-embed a{color:${t.accent};text-decoration:none}
+</style>
+<h2>${escapeHtml(title)}</h2>
+<table>${rows}</table>
+<p>As of ${formatDay(rates.asOf)} · ${escapeHtml(brand.dataCredit)} · <a href="${escapeHtml(brand.compareUrl)}" target="_blank" rel="noopener">${escapeHtml(brand.name)}</a></p>
+</div>`;
+}
+
+// Smallest line chart whose plot area survives the axis-label padding in chartSvg
+const LINE_CHART_MIN = { width: 160, height: 100 };
+
+function chartSvg(history, { type, width, height, title }, t) {
+  const spark  = type === "sparkline";
+  const values = history.data.map(p => p.value);
+  const label  = HISTORY_LABELS[history.series];
+  let min = Math.min(...values), max = Math.max(...values);
+  if (max - min < 0.1) { min -= 0.05; max += 0.05; }
+
+  const pad = spark ? { top: 3, right: 4, bottom: 3, left: 2 } : { top: title ? 34 : 14, right: 52, bottom: 26, left: 46 };
+  const w   = width - pad.left - pad.right, h = height - pad.top - pad.bottom;
+  const x   = i => pad.left + (values.length > 1 ? i / (values.length - 1) * w : w / 2);
+  const y   = v => pad.top + (max - v) / (max - min) * h;
+  const pts = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+  const end = values.length - 1;
+
+  const parts = [];
+  if (t.bg !== "transparent") parts.push(`<rect width="${width}" height="${height}" rx="${t.radius}" fill="${t.bg}"/>`);
+  if (!spark) {
+    if (title) parts.push(`<text x="${pad.left}" y="20" font-size="14" font-weight="600" fill="${t.text}">${escapeHtml(title)}</text>`);
+    for (const v of [max, (max + min) / 2, min]) {
+      parts.push(`<line x1="${pad.left}" x2="${pad.left + w}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="${t.line}"/>`,
+                 `<text x="${pad.left - 6}" y="${(y(v) + 4).toFixed(1)}" font-size="11" text-anchor="end" fill="${t.muted}">${formatRate(v)}</text>`);
+    }
+    parts.push(`<text x="${pad.left}" y="${height - 8}" font-size="11" fill="${t.muted}">${formatMonth(history.data[0].date)}</text>`,
+               `<text x="${pad.left + w}" y="${height - 8}" font-size="11" text-anchor="end" fill="${t.muted}">${formatMonth(history.data[end].date)}</text>`,
+               `<polygon points="${pad.left},${pad.top + h} ${pts.join(" ")} ${(pad.left + w).toFixed(1)},${pad.top + h}" fill="${t.accent}" fill-opacity="0.12"/>`);
+  }
+  parts.push(`<polyline points="${pts.join(" ")}" fill="none" stroke="${t.accent}" stroke-width="${spark ? 1.5 : 2}" stroke-linejoin="round" stroke-linecap="round"/>`,
+             `<circle cx="${x(end).toFixed(1)}" cy="${y(values[end]).toFixed(1)}" r="${spark ? 2 : 3.5}" fill="${t.accent}"/>`);
+  if (!spark) parts.push(`<text x="${(x(end) + 8).toFixed(1)}" y="${(y(values[end]) + 4).toFixed(1)}" font-size="12" font-weight="700" fill="${t.text}">${formatRate(values[end])}</text>`);
+
+  const summary = `${label} rate, ${history.period}: ${formatRate(values[end])} as of ${formatDay(history.data[end].date)}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(summary)}" font-family="${escapeHtml(t.font)}"><title>${escapeHtml(summary)}</title>${parts.join("")}</svg>`;
+}
+
+// Two-part badge; widths estimated from character counts (no font metrics on the server)
+function badgeSvg(label, rate, t) {
+  const value = `${formatRate(rate.value)}${rate.change ? ` ${changeText(rate.change)}` : ""}`;
+  const lw = Math.round(label.length * 6.5 + 14), rw = Math.round(value.length * 6.8 + 14), width = lw + rw;
+  const r  = Math.min(t.radius, 10);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" viewBox="0 0 ${width} 20" role="img" aria-label="${escapeHtml(`${label}: ${value}`)}" font-family="${escapeHtml(t.font)}" font-size="11">` +
+    `<title>${escapeHtml(`${label}: ${value}`)}</title>` +
+    `<clipPath id="r"><rect width="${width}" height="20" rx="${r}"/></clipPath>` +
+    `<g clip-path="url(#r)"><rect width="${lw}" height="20" fill="${t.text}"/><rect x="${lw}" width="${rw}" height="20" fill="${t.accent}"/></g>` +
+    `<text x="${lw / 2}" y="14" text-anchor="middle" fill="${t.bg === "transparent" ? "#ffffff" : t.bg}">${escapeHtml(label)}</text>` +
+    `<text x="${lw + rw / 2}" y="14" text-anchor="middle" font-weight="700" fill="#ffffff">${escapeHtml(value)}</text></svg>`;
+}
+
+app.get("/embed/rates", async (req, res) => {
+  try {
+    const rates = await currentRates();
+    if (embedFresh(req, res, rates.asOf, rates.stale)) return res.status(304).end();
+    const keys   = (req.query.rates || "30yr,15yr,arm51").split(",").filter(Boolean);
+    const title  = req.query.title || "Today's mortgage rates";
+    const widget = ratesWidgetHtml(rates, keys, title, embedTheme(req.query));
+    if (req.query.mode === "snippet") return res.type("html").send(widget);
+    res.type("html").send(`<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0">${widget}</body></html>`);
+  } catch (err) {
+    console.error("embed rates error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/embed/chart.svg", async (req, res) => {
+  try {
+    const { series, period, type = "line", title } = req.query;
+    const size   = type === "sparkline" ? { width: 120, height: 32 } : { width: 600, height: 240 };
+    const width  = parseInt(req.query.width)  || size.width;
+    const height = parseInt(req.query.height) || size.height;
+    // The spec's minimums fit a sparkline; a line chart's axis labels need more room
+    if (type !== "sparkline" && (width < LINE_CHART_MIN.width || height < LINE_CHART_MIN.height)) {
+      return res.status(400).json({ error: `Line charts need width ≥ ${LINE_CHART_MIN.width} and height ≥ ${LINE_CHART_MIN.height} (use type=sparkline for smaller)` });
+    }
+    const history = await rateHistory(series, period);
+    const last    = history.data[history.data.length - 1];
+    if (!last) return res.status(404).json({ error: "No history for this series and period" });
+    if (embedFresh(req, res, last.date, !history.live)) return res.status(304).end();
+    res.type("image/svg+xml").send(chartSvg(history, { type, title, width, height }, embedTheme(req.query)));
+  } catch (err) {
+    console.error("embed chart error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/embed/badge.svg", async (req, res) => {
+  try {
+    const rates = await currentRates();
+    if (embedFresh(req, res, rates.asOf, rates.stale)) return res.status(304).end();
+    const [label, pick] = EMBED_RATES[req.query.rate || "30yr"];
+    res.type("image/svg+xml").send(badgeSvg(req.query.label || label, pick(rates), embedTheme(req.query)));
+  } catch (err) {
+    console.error("embed badge error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// ADMIN AUTH
+// Admin routes require ADMIN_TOKEN as "Authorization: Bearer <token>"
+// (or X-Admin-Token), or an API key with the "admin" scope. Without
+// ADMIN_TOKEN only admin-scoped keys get in.
+// ─────────────────────────────────────────────
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+function requireAdmin(req, res, next) {
+  if (req.apiKey && req.apiKey.scopes.includes("admin")) return next();
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Admin routes are disabled (ADMIN_TOKEN not set)" });
+  const given    = Buffer.from(String(req.get("x-admin-token") || (req.get("authorization") || "").replace(/^Bearer\s+/i, "")));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return res.status(401).json({ error: "Admin token required" });
+  next();
+}
+
+// ─────────────────────────────────────────────
+// EMAIL TEMPLATES
+// templates/email/<locale>/<name>.html (TEMPLATES_DIR): a "subject:"
+// line, "---", then the body, wrapped in the locale's layout.html.
+// {{path}} is HTML-escaped, {{{path}}} is raw, {{#if path}}…{{else}}…{{/if}}
+// branches. Branding and base URLs come from config/branding.json
+// (BRANDING_FILE); the text/plain part is generated from the HTML.
+// ─────────────────────────────────────────────
+const TEMPLATES_DIR  = process.env.TEMPLATES_DIR || path.join(__dirname, "templates", "email");
+const BRANDING_FILE  = process.env.BRANDING_FILE || path.join(__dirname, "config", "branding.json");
+const DEFAULT_LOCALE = "en";
+
+function loadBranding() {
+  const brand = loadConfig(BRANDING_FILE);
+  return process.env.API_URL ? { ...brand, apiUrl: process.env.API_URL } : brand;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+}
+
+// Locales with a template directory
+function templateLocales() {
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort();
+}
+
+// Best supported locale for a requested one ("es-MX" → "es"), else the default
+function pickLocale(requested) {
+  const available = templateLocales();
+  const tag = String(requested || "").toLowerCase();
+  return available.find(l => l === tag) || available.find(l => l === tag.split("-")[0]) || DEFAULT_LOCALE;
+}
+
+// Fill a template string; `escape` is off for subjects and plain text
+function fillTemplate(src, data, escape = true) {
+  const get = p => p.split(".").reduce((o, k) => o == null ? undefined : o[k], data);
+  // Resolve innermost conditionals first so they can nest
+  const IF = /\{\{#if ([\w.]+)\}\}((?:(?!\{\{#if )[\s\S])*?)\{\{\/if\}\}/;
+  let out = src, m;
+  while ((m = IF.exec(out))) {
+    const [yes, no = ""] = m[2].split("{{else}}");
+    out = out.slice(0, m.index) + (get(m[1]) ? yes : no) + out.slice(m.index + m[0].length);
+  }
+  return out.replace(/\{\{\{([\w.]+)\}\}\}|\{\{([\w.]+)\}\}/g, (_, raw, esc) => {
+    const value = get(raw || esc) ?? "";
+    return raw || !escape ? String(value) : escapeHtml(value);
+  });
+}
+
+// Locale strings (rule descriptions, labels) with English fallback
+function templateStrings(locale) {
+  const file = path.join(TEMPLATES_DIR, locale, "strings.json");
+  return fs.existsSync(file) ? loadConfig(file) : loadConfig(path.join(TEMPLATES_DIR, DEFAULT_LOCALE, "strings.json"));
+}
+
+// Plain-text alternative: links become "label (url)", blocks become lines
+function htmlToText(html) {
+  return html
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => `${label.trim()} (${href})`)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|h[1-6]|li|ul)\b[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(lt|gt|quot|#39);/g, (_, e) => ({ lt:"<", gt:">", quot:'"', "#39":"'" })[e])
+    .replace(/&amp;/g, "&")
+    .split("\n").map(line => line.trim().replace(/\s+/g, " ")).join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// { subject, html, text } for a template in a locale
+function renderEmail(name, data, locale = DEFAULT_LOCALE) {
+  locale = pickLocale(locale);
+  const fileFor = file => {
+    const localized = path.join(TEMPLATES_DIR, locale, file);
+    return fs.existsSync(localized) ? localized : path.join(TEMPLATES_DIR, DEFAULT_LOCALE, file);
+  };
+  const file = fileFor(`${name}.html`);
+  if (!fs.existsSync(file)) throw new Error(`Unknown email template: ${name}`);
+  const [head, ...body] = fs.readFileSync(file, "utf8").split(/^---\s*$/m);
+  const context = { brand: loadBranding(), ...data };
+  const subject = fillTemplate(head.replace(/^subject:\s*/i, "").trim(), context, false);
+  const content = fillTemplate(body.join("---"), context);
+  const html    = fillTemplate(fs.readFileSync(fileFor("layout.html"), "utf8"), { ...context, content });
+  return { subject, html, text: htmlToText(html) };
+}
+
+// Render and send a template; returns false when SMTP isn't configured
+async function sendEmail(to, name, data, locale) {
+  if (!HAS_SMTP) return false;
+  const { subject, html, text } = renderEmail(name, data, locale);
+  await mailer.sendMail({ from: `"${loadBranding().fromName}" <${SMTP_USER}>`, to, subject, html, text });
+  return true;
+}
+
+// ─────────────────────────────────────────────
+// FEATURE 3: EMAIL RATE ALERTS
+// POST /api/alerts/subscribe   — add alert (pending until confirmed)
+// GET  /api/alerts/confirm?token=x — double opt-in link
+// POST /api/alerts/manage-link — email a signed "manage my alerts" link
+// GET|PATCH|DELETE /api/alerts/manage[/:id]?token=x — list, edit, delete
+// DELETE /api/alerts/unsubscribe?token=y — remove
+// POST /api/alerts/trigger     — admin: run the alerts/digests job now (the scheduler runs them)
+// GET  /api/alerts/verify?token=x — one-click unsubscribe link
+//
+// Links carry HMAC-signed, expiring tokens (ALERT_SECRET). Pending
+// subscriptions not confirmed within CONFIRM_TTL_HOURS are purged.
+//
+// Channels: email, webhook (JSON signed with a per-alert secret in
+// X-RateCroft-Signature: t=<unix>,v1=HMAC-SHA256("<t>.<body>")), slack
+// and discord incoming webhooks. Deliveries retry with backoff and are
+// logged on the alert (last DELIVERY_LOG_SIZE).
+//
+// Rules: target (rate ≤ targetRate), drop (dropBps below the rate when
+// subscribed), weekly_move (|weekly change| > moveBps) and digest
+// (weekly summary). Rates include the subscriber's state adjuster.
+// A fired alert re-arms once the rate moves back past a hysteresis
+// band of rearmBps (ALERT_REARM_BPS).
+// ─────────────────────────────────────────────
+const ALERT_RULES        = ["target", "drop", "weekly_move", "digest"];
+const ALERT_REARM_BPS    = parseFloat(process.env.ALERT_REARM_BPS || "10");
+const DIGEST_INTERVAL_MS = 6.5 * 24 * 3600 * 1000;  // weekly, with slack for scheduler drift
+const CONFIRM_TTL_MS     = parseFloat(process.env.CONFIRM_TTL_HOURS || "48") * 3600 * 1000;
+const TOKEN_TTL_MS       = { confirm: CONFIRM_TTL_MS, manage: 7 * 24 * 3600 * 1000, unsubscribe: 90 * 24 * 3600 * 1000 };
+const ALERT_SECRET       = process.env.ALERT_SECRET || crypto.randomBytes(32).toString("hex");
+const ALERT_CHANNELS     = ["email", "webhook", "slack", "discord"];
+const DELIVERY_ATTEMPTS  = parseInt(process.env.DELIVERY_RETRY_ATTEMPTS || "4");
+const DELIVERY_BASE_MS   = parseInt(process.env.DELIVERY_RETRY_BASE_MS  || "1000");
+const DELIVERY_LOG_SIZE  = 20;
+if (!process.env.ALERT_SECRET) console.warn("⚠️  ALERT_SECRET not set — alert links will stop working after a restart");
+
+// Signed, expiring link token: base64url(payload).base64url(HMAC-SHA256)
+function signToken(purpose, email, id = null) {
+  const payload = Buffer.from(JSON.stringify({ p: purpose, e: email, id, x: Date.now() + TOKEN_TTL_MS[purpose] })).toString("base64url");
+  const sig     = crypto.createHmac("sha256", ALERT_SECRET).update(payload).digest("base64url");
+  return `${payload}.${sig}`;
+}
+
+// Token payload { p, e, id, x } if the signature, purpose and expiry check out, else null
+function verifyToken(token, purpose) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = crypto.createHmac("sha256", ALERT_SECRET).update(payload).digest();
+  const given    = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return data.p === purpose && data.x > Date.now() ? data : null;
+  } catch { return null; }
+}
+
+const alertLink = (route, purpose, email, id) => `${loadBranding().apiUrl}${route}?token=${signToken(purpose, email, id)}`;
+
+// Alerts saved before double opt-in have no status and count as active
+const isActive = alert => (alert.status || "active") === "active";
+
+// Drop pending subscriptions older than CONFIRM_TTL_MS; returns how many
+function purgePending() {
+  const cutoff = Date.now() - CONFIRM_TTL_MS;
+  return alertTransaction(alerts => removeAlerts(alerts, a => a.status === "pending" && Date.parse(a.updatedAt || a.createdAt) <= cutoff));
+}
+setInterval(() => {
+  purgePending()
+    .then(purged => { if (purged) console.log(`🧹 Purged ${purged} unconfirmed alert subscription(s)`); })
+    .catch(err => console.error("purge error:", err.message));
+}, 3600 * 1000).unref();
+
+// Simple HTML page for link landings; `message` must already be escaped
+const alertPage = (title, message) => {
+  const brand = loadBranding();
+  return `<html><body style="font-family:sans-serif;text-align:center;padding:60px">
+      <h2>${title}</h2>
+      <p>${message}</p>
+      <a href="${escapeHtml(brand.siteUrl)}">← Back to ${escapeHtml(brand.name)}</a>
+    </body></html>`;
+};
+
+// Market rate and weekly change per alert loan type
+async function alertMarket() {
+  const [r30, r15] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(FRED_SERIES.rate_15yr)]);
+  return {
+    "30yr":  { value: r30.value,                   change: r30.change || 0 },
+    "15yr":  { value: r15.value,                   change: r15.change || 0 },
+    "arm51": { value: +(r30.value - 0.55).toFixed(2), change: r30.change || 0 },
+  };
+}
+
+// Rate an alert watches: its loan type's market rate plus the state adjuster
+function alertRate(market, alert) {
+  const m     = market[alert.loanType] || market["30yr"];
+  const grid  = loadPricing();
+  const state = alert.state && alert.state !== "national" ? alert.state : null;
+  const adj   = state ? grid.state[state] ?? grid.state.default : 0;
+  return { value: +(m.value + adj).toFixed(3), change: m.change, stateAdj: adj };
+}
+
+// Request fields that define an alert's rule
+const ALERT_RULE_FIELDS = ["rule", "targetRate", "dropBps", "moveBps", "rearmBps"];
+
+// Rule fields from a subscribe body, or { error }
+function alertRuleFrom(body, currentRate) {
+  const rule     = body.rule || "target";
+  const rearmBps = body.rearmBps !== undefined ? parseFloat(body.rearmBps) : ALERT_REARM_BPS;
+  if (!ALERT_RULES.includes(rule)) return { error: "Unknown rule", valid: ALERT_RULES };
+  if (!(rearmBps >= 0)) return { error: "rearmBps must be zero or more" };
+  const bps = field => {
+    const v = parseFloat(body[field]);
+    return v > 0 ? v : null;
+  };
+  switch (rule) {
+    case "target":
+      if (!body.targetRate || isNaN(parseFloat(body.targetRate))) return { error:"Target rate required (e.g. 6.5)" };
+      return { rule, targetRate: parseFloat(body.targetRate), rearmBps };
+    case "drop":
+      if (!bps("dropBps")) return { error: "dropBps required (e.g. 25)" };
+      return { rule, dropBps: bps("dropBps"), baseRate: currentRate, rearmBps };
+    case "weekly_move":
+      if (!bps("moveBps")) return { error: "moveBps required (e.g. 15)" };
+      return { rule, moveBps: bps("moveBps"), rearmBps };
+    default:
+      return { rule };
+  }
+}
+
+// Rate at or below which a target/drop alert fires
+function alertThreshold(alert) {
+  return alert.rule === "drop" ? +(alert.baseRate - alert.dropBps / 100).toFixed(3) : alert.targetRate;
+}
+
+// Rule summary in the alert's locale, from templates/email/<locale>/strings.json
+function describeRule(alert, locale = alert.locale) {
+  const strings = templateStrings(pickLocale(locale));
+  return fillTemplate(strings.rule[alert.rule || "target"], { ...alert, threshold: alertThreshold(alert) }, false);
+}
+
+// Template data shared by alert emails
+function alertEmailData(alert, extra = {}) {
+  const strings = templateStrings(pickLocale(alert.locale));
+  return {
+    alert,
+    description: describeRule(alert),
+    market:      alert.state && alert.state !== "national" ? alert.state : strings.national,
+    via:         strings.channel[alert.channel || "email"],
+    ...extra,
+  };
+}
+
+// Template data for a fired alert or digest at the current rate
+function firedEmailData(alert, rate, links) {
+  const moved = alert.rule === "drop" ? alert.baseRate - rate.value : rate.change;
+  return alertEmailData(alert, {
+    rate,
+    rule:         { [alert.rule || "target"]: true },
+    movedBps:     Math.round(Math.abs(moved) * 100),
+    down:         rate.change < 0,
+    weeklyChange: `${rate.change > 0 ? "+" : ""}${rate.change.toFixed(2)}`,
+    links,
+  });
+}
+
+// "fire", "rearm" or null for an alert at the current rate. Alerts saved
+// before rules existed are target alerts with only a `triggered` flag.
+function checkAlert(alert, rate, now) {
+  const armed = alert.armed ?? !alert.triggered;
+  const band  = (alert.rearmBps ?? ALERT_REARM_BPS) / 100;
+  switch (alert.rule || "target") {
+    case "digest":
+      return !alert.lastSentAt || now - Date.parse(alert.lastSentAt) >= DIGEST_INTERVAL_MS ? "fire" : null;
+    case "weekly_move": {
+      const move = Math.abs(rate.change), limit = alert.moveBps / 100;
+      if (armed) return move > limit ? "fire" : null;
+      return move <= Math.max(0, limit - band) ? "rearm" : null;
+    }
+    default: {
+      const threshold = alertThreshold(alert);
+      if (armed) return rate.value <= threshold ? "fire" : null;
+      return rate.value >= threshold + band ? "rearm" : null;
+    }
+  }
+}
+
+// ── Webhook targets
+// Webhooks are posted from inside the deployment, so their hosts must
+// resolve to public addresses only: no loopback, RFC1918, link-local
+// (cloud metadata), CGNAT, ULA or unspecified ranges. The host is checked
+// on subscribe / PATCH, again before each delivery, and at connect time
+// through the agents' lookup (so a re-pointed DNS name is caught too).
+// ALLOW_LOCAL_WEBHOOKS=true lets http://localhost receivers through for
+// local testing.
+const ALLOW_LOCAL_WEBHOOKS = process.env.ALLOW_LOCAL_WEBHOOKS === "true";
+const LOCAL_HOSTS          = ["localhost", "127.0.0.1", "::1"];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [net4, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]]) {
+  BLOCKED_ADDRESSES.addSubnet(net4, bits, "ipv4");
+}
+for (const [net6, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10]]) {
+  BLOCKED_ADDRESSES.addSubnet(net6, bits, "ipv6");
+}
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.5) against the IPv4 ranges
+const isPrivateAddress = address => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const isLocalWebhook = url => ALLOW_LOCAL_WEBHOOKS && LOCAL_HOSTS.includes(url.hostname.replace(/^\[|\]$/g, ""));
+
+// Error message if the URL's host is (or resolves to) a non-public address, else null
+async function webhookHostError(url) {
+  if (isLocalWebhook(url)) return null;
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `webhookUrl host ${host} does not resolve`;
+  }
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  return blocked ? `webhookUrl must point to a public address (${host} resolves to non-public ${blocked.address})` : null;
+}
+
+// dns.lookup that refuses non-public answers, for the webhook agents
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = !(ALLOW_LOCAL_WEBHOOKS && LOCAL_HOSTS.includes(hostname)) && addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to non-public address ${blocked.address}`), { code: "EBLOCKED" }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+const webhookAgents = { httpAgent: new http.Agent({ lookup: publicLookup }), httpsAgent: new https.Agent({ lookup: publicLookup }) };
+
+// Channel fields from a subscribe body, or { error }. Plain http is only
+// accepted for local receivers (ALLOW_LOCAL_WEBHOOKS).
+async function alertChannelFrom(body) {
+  const channel = body.channel || "email";
+  if (!ALERT_CHANNELS.includes(channel)) return { error: "Unknown channel", valid: ALERT_CHANNELS };
+  if (channel === "email") return { channel };
+  let url;
+  try { url = new URL(body.webhookUrl); } catch { return { error: `webhookUrl required for the ${channel} channel` }; }
+  if (url.protocol !== "https:" && !(isLocalWebhook(url) && url.protocol === "http:")) return { error: "webhookUrl must use https" };
+  const hostError = await webhookHostError(url);
+  if (hostError) return { error: hostError };
+  return { channel, webhookUrl: url.toString(), ...(channel === "webhook" && { webhookSecret: crypto.randomBytes(24).toString("hex") }) };
+}
+
+// Alert as shown to its owner — never the webhook signing secret
+function publicAlert({ webhookSecret, ...alert }) {
+  return { ...alert, description: describeRule(alert) };
+}
+
+// Machine-readable body for webhook deliveries
+function webhookPayload(alert, msg) {
+  return {
+    event:     msg.event,
+    alert:     { id: alert.id, rule: alert.rule || "target", loanType: alert.loanType, state: alert.state, description: describeRule(alert) },
+    rate:      { value: msg.rate.value, weeklyChange: msg.rate.change, stateAdjustment: msg.rate.stateAdj },
+    ...(msg.threshold !== undefined && { threshold: msg.threshold }),
+    message:   msg.subject,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// POST JSON to a webhook; non-2xx throws (4xx other than 408/429 is permanent)
+async function postWebhook(url, body, headers = {}) {
+  // Stored URLs are re-checked: the host may have been re-pointed since subscribe
+  const hostError = await webhookHostError(new URL(url));
+  if (hostError) throw Object.assign(new Error(hostError), { permanent: true });
+  const res = await axios.post(url, body, {
+    timeout: 10000, maxRedirects: 0, ...webhookAgents,
+    headers: { "Content-Type": "application/json", ...headers }, validateStatus: () => true,
+  });
+  if (res.status >= 200 && res.status < 300) return res.status;
+  const err = new Error(`HTTP ${res.status}${res.status >= 300 && res.status < 400 ? " (redirects are not followed)" : ""}`);
+  err.status    = res.status;
+  err.permanent = res.status >= 300 && res.status < 500 && ![408, 429].includes(res.status);
+  throw err;
+}
+
+// One delivery attempt on the alert's channel
+async function sendToChannel(alert, msg) {
+  switch (alert.channel || "email") {
+    case "webhook": {
+      const body = JSON.stringify(webhookPayload(alert, msg));
+      const t    = Math.floor(Date.now() / 1000);
+      const sig  = crypto.createHmac("sha256", alert.webhookSecret).update(`${t}.${body}`).digest("hex");
+      return postWebhook(alert.webhookUrl, body, { "X-RateCroft-Signature": `t=${t},v1=${sig}`, "X-RateCroft-Event": msg.event });
+    }
+    case "slack":
+      return postWebhook(alert.webhookUrl, { text: msg.subject });
+    case "discord":
+      return postWebhook(alert.webhookUrl, { content: msg.subject });
+    default:
+      await mailer.sendMail({ from: `"${loadBranding().fromName}" <${SMTP_USER}>`, to: alert.email, subject: msg.subject, html: msg.html, text: msg.text });
+      return null;
+  }
+}
+
+// Deliver with retries and record the outcome on the alert; returns the log entry
+async function deliverAlert(alert, msg) {
+  const channel = alert.channel || "email";
+  const entry   = { at: new Date().toISOString(), event: msg.event, channel, attempts: 0 };
+  if (channel === "email" && !HAS_SMTP) {
+    entry.status = "skipped";
+    entry.error  = "SMTP not configured";
+  } else {
+    try {
+      const httpStatus = await withRetry(attempt => {
+        entry.attempts = attempt;
+        return sendToChannel(alert, msg);
+      }, { attempts: DELIVERY_ATTEMPTS, baseMs: DELIVERY_BASE_MS });
+      entry.status = "delivered";
+      if (httpStatus) entry.httpStatus = httpStatus;
+    } catch (err) {
+      entry.status = "failed";
+      entry.error  = err.message;
+      if (err.status) entry.httpStatus = err.status;
+      console.error(`alert ${alert.id} ${channel} delivery failed:`, err.message);
+    }
+  }
+  alert.deliveries = [...(alert.deliveries || []), entry].slice(-DELIVERY_LOG_SIZE);
+  return entry;
+}
+
+app.post("/api/alerts/subscribe", async (req, res) => {
+  try {
+    const { loanType="30yr", name="" } = req.body;
+    const email  = normalizeEmail(req.body.email);
+    const locale = pickLocale(req.body.locale || req.acceptsLanguages(...templateLocales()));
+    const state = !req.body.state || req.body.state === "national" ? "national" : String(req.body.state).toUpperCase().slice(0,2);
+    if (!email || !email.includes("@")) return res.status(400).json({ error:"Valid email required" });
+
+    const current = alertRate(await alertMarket(), { loanType, state });
+    const rule    = alertRuleFrom(req.body, current.value);
+    if (rule.error) return res.status(400).json(rule);
+    const channel = await alertChannelFrom(req.body);
+    if (channel.error) return res.status(400).json(channel);
+
+    // Same response whether or not the address is already subscribed
+    const accepted = { success:true, message:"Check your email to confirm your alert.", email, ...rule, channel: channel.channel, currentRate: current.value };
+
+    const { alert, confirmed } = await alertTransaction(alerts => {
+      const exists = alerts.find(a => a.email === email && a.loanType === loanType);
+      if (exists && isActive(exists)) return { confirmed: exists };
+
+      const alert = exists || { id: crypto.randomUUID(), email, createdAt: new Date().toISOString() };
+      for (const field of ["targetRate", "dropBps", "baseRate", "moveBps", "rearmBps", "webhookUrl", "webhookSecret"]) delete alert[field];
+      Object.assign(alert, {
+        name:       name || email.split("@")[0],
+        ...rule,
+        ...channel,
+        loanType,
+        state,
+        locale,
+        status:     "pending",
+        armed:      true,
+        triggered:  false,
+        updatedAt:  new Date().toISOString(),
+      });
+      if (!exists) alerts.push(alert);
+      return { alert };
+    });
+    if (confirmed) {
+      // Changes to a confirmed alert go through the signed manage link
+      await sendEmail(email, "manage", { name: confirmed.name, loanType, changeRequest: true, manageUrl: alertLink("/api/alerts/manage", "manage", email) }, confirmed.locale);
+      return res.json(accepted);
+    }
+
+    // Send confirmation email — the alert stays pending until the link is clicked
+    const confirmUrl = alertLink("/api/alerts/confirm", "confirm", email, alert.id);
+    const sent = await sendEmail(email, "confirm", alertEmailData(alert, {
+      currentRate:  current.value,
+      confirmUrl,
+      expiresHours: Math.round(CONFIRM_TTL_MS / 3600000),
+    }), locale);
+    if (!sent) {
+      console.log("📧 Confirmation email not sent (SMTP unavailable)");
+    }
+
+    res.json(accepted);
+  } catch(err) {
+    console.error("subscribe error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/alerts/confirm", async (req, res) => {
+  try {
+    const data = verifyToken(req.query.token, "confirm");
+    if (!data) return res.status(400).send(alertPage("⚠️ Link expired", "This confirmation link is invalid or has expired. Please subscribe again."));
+    const { alert, activated } = await alertTransaction(alerts => {
+      const alert = alerts.find(a => hasId(a, data.id) && a.email === normalizeEmail(data.e));
+      if (!alert || alert.status !== "pending") return { alert };
+      alert.status      = "active";
+      alert.confirmedAt = new Date().toISOString();
+      return { alert, activated: true };
+    });
+    if (!alert) return res.status(404).send(alertPage("⚠️ Alert not found", "This subscription has expired or was removed. Please subscribe again."));
+    const via = { email: "email you", webhook: "call your webhook", slack: "post to Slack", discord: "post to Discord" }[alert.channel || "email"];
+    // The webhook signing secret is shown once, on first confirmation
+    const secret = activated && alert.webhookSecret
+      ? `<br><br>Webhook signing secret (shown once):<br><code>${alert.webhookSecret}</code>` : "";
+    res.send(alertPage("✅ Alert confirmed", `We'll ${via} when the ${escapeHtml(alert.loanType)} rate ${escapeHtml(describeRule(alert, DEFAULT_LOCALE))}.${secret}`));
+  } catch(err) {
+    console.error("confirm error:", err.message);
+    res.status(500).send(alertPage("⚠️ Something went wrong", "Please try the link again in a few minutes."));
+  }
+});
+
+app.post("/api/alerts/manage-link", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email || !email.includes("@")) return res.status(400).json({ error:"Valid email required" });
+    const owned = loadAlerts().filter(a => a.email === email && isActive(a));
+    if (owned.length) {
+      await sendEmail(email, "manage", { name: owned[0].name, manageUrl: alertLink("/api/alerts/manage", "manage", email) }, owned[0].locale);
+    }
+    // Never reveal whether the address has alerts
+    res.json({ success:true, message:"If that address has alerts, we've emailed it a link to manage them." });
+  } catch(err) {
+    console.error("manage-link error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Signed manage token → its owner's email, or sends 401
+function manageOwner(req, res) {
+  const data = verifyToken(req.query.token, "manage");
+  if (!data) res.status(401).json({ error: "Invalid or expired manage link" });
+  return data && normalizeEmail(data.e);
+}
+
+app.get("/api/alerts/manage", (req, res) => {
+  const email = manageOwner(req, res);
+  if (!email) return;
+  const alerts = loadAlerts().filter(a => a.email === email && isActive(a));
+  // Browsers following the emailed link get a page with per-alert unsubscribe links
+  if (req.accepts(["json", "html"]) === "html") {
+    const items = alerts.map(a => `<li>${escapeHtml(a.loanType)}: ${escapeHtml(describeRule(a, DEFAULT_LOCALE))} · <a href="${escapeHtml(alertLink("/api/alerts/verify", "unsubscribe", email, a.id))}&amp;action=unsubscribe">Unsubscribe</a></li>`);
+    return res.send(alertPage("🔔 Your rate alerts", items.length ? `<ul style="display:inline-block;text-align:left">${items.join("")}</ul>` : "You have no active alerts."));
+  }
+  res.json({ email, alerts: alerts.map(publicAlert) });
+});
+
+app.patch("/api/alerts/manage/:id", async (req, res) => {
+  try {
+    const email = manageOwner(req, res);
+    if (!email) return;
+    const alert = loadAlerts().find(a => hasId(a, req.params.id) && a.email === email && isActive(a));
+    if (!alert) return res.status(404).json({ error: "Alert not found" });
+
+    const state   = req.body.state === undefined ? alert.state
+      : !req.body.state || req.body.state === "national" ? "national" : String(req.body.state).toUpperCase().slice(0,2);
+    // The stored rule stands unless the request changes it or the market
+    const ruleEdit = ALERT_RULE_FIELDS.some(f => req.body[f] !== undefined) || state !== alert.state;
+    let rule = {};
+    if (ruleEdit) {
+      const stored = req.body.rule && req.body.rule !== alert.rule
+        ? { rearmBps: alert.rearmBps }
+        : Object.fromEntries(ALERT_RULE_FIELDS.map(f => [f, alert[f]]).filter(([, v]) => v !== undefined));
+      const current = alertRate(await alertMarket(), { loanType: alert.loanType, state });
+      rule = alertRuleFrom({ ...stored, ...req.body }, current.value);
+      if (rule.error) return res.status(400).json(rule);
+      // A drop keeps its baseline unless the drop itself or its market changed
+      const rebase = req.body.rule !== undefined || req.body.dropBps !== undefined || state !== alert.state;
+      if (rule.rule === "drop" && alert.rule === "drop" && !rebase) rule.baseRate = alert.baseRate;
+    }
+    // Changing channel or URL issues a new webhook signing secret, returned once here
+    const newChannel = req.body.channel !== undefined || req.body.webhookUrl !== undefined;
+    const channel    = newChannel ? await alertChannelFrom({ channel: alert.channel, webhookUrl: alert.webhookUrl, ...req.body }) : {};
+    if (channel.error) return res.status(400).json(channel);
+
+    // Re-read under the lock: the alert may have changed while the rate was fetched
+    const updated = await alertTransaction(alerts => {
+      const stored = alerts.find(a => a.id === alert.id && isActive(a));
+      if (!stored) return null;
+      for (const field of [...(ruleEdit ? ["targetRate", "dropBps", "baseRate", "moveBps", "rearmBps"] : []), ...(newChannel ? ["webhookUrl", "webhookSecret"] : [])]) delete stored[field];
+      Object.assign(stored, rule, channel, { state, updatedAt: new Date().toISOString() }, ruleEdit && { armed: true, triggered: false });
+      if (req.body.name) stored.name = String(req.body.name);
+      return stored;
+    });
+    if (!updated) return res.status(404).json({ error: "Alert not found" });
+    res.json({ success:true, alert: publicAlert(updated), ...(channel.webhookSecret && { webhookSecret: channel.webhookSecret }) });
+  } catch(err) {
+    console.error("manage error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/alerts/manage/:id removes one alert; without an id, all of them
+app.delete(["/api/alerts/manage", "/api/alerts/manage/:id"], async (req, res) => {
+  try {
+    const email = manageOwner(req, res);
+    if (!email) return;
+    const removed = await alertTransaction(alerts => removeAlerts(alerts, a => a.email === email && (!req.params.id || hasId(a, req.params.id))));
+    res.json({ success:true, removed });
+  } catch(err) {
+    console.error("manage delete error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove the alert named by a signed unsubscribe token; returns how many
+async function unsubscribe(token) {
+  const data = verifyToken(token, "unsubscribe");
+  if (!data) return null;
+  return alertTransaction(alerts => removeAlerts(alerts, a => a.email === normalizeEmail(data.e) && hasId(a, data.id)));
+}
+
+app.get("/api/alerts/verify", async (req, res) => {
+  const { token, action } = req.query;
+  if (action !== "unsubscribe") return res.status(400).send("Unknown action");
+  try {
+    const removed = await unsubscribe(token);
+    if (removed === null) return res.status(400).send(alertPage("⚠️ Link expired", "This unsubscribe link is invalid or has expired — use the manage link in any alert email instead."));
+    res.send(alertPage("✅ Unsubscribed", removed > 0 ? `You've been removed from ${escapeHtml(loadBranding().name)} rate alerts.` : "Alert not found — may already be removed."));
+  } catch(err) {
+    console.error("unsubscribe error:", err.message);
+    res.status(500).send(alertPage("⚠️ Something went wrong", "Please try the link again in a few minutes."));
+  }
+});
+
+app.delete("/api/alerts/unsubscribe", async (req, res) => {
+  try {
+    const removed = await unsubscribe(req.query.token);
+    if (removed === null) return res.status(401).json({ error: "Invalid or expired token" });
+    res.json({ success:true, removed });
+  } catch(err) {
+    console.error("unsubscribe error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Alert fields written by an evaluation run
+const EVALUATION_FIELDS = ["armed", "triggered", "rearmedAt", "triggeredAt", "triggeredRate", "lastSentAt", "deliveries"];
+
+// Evaluate every active alert whose rule is in `rules`, deliver the ones
+// that fire and re-arm the ones that recovered. Run by the scheduler
+// ("alerts" and "digests" jobs) and POST /api/alerts/trigger.
+async function evaluateAlerts({ rules = ALERT_RULES } = {}) {
+  const market       = await alertMarket();
+  const currentRates = Object.fromEntries(Object.entries(market).map(([type, m]) => [type, m.value]));
+  const purged     = await purgePending();
+  // Deliveries run against a snapshot; results are merged back in one transaction
+  const alerts     = loadAlerts();
+  const now        = Date.now();
+  const triggered  = [];
+  const rearmed    = [];
+  const deliveries = { delivered: 0, failed: 0, skipped: 0 };
+  let   emailsSent = 0;
+
+  for (const alert of alerts.filter(a => isActive(a) && rules.includes(a.rule || "target"))) {
+    const rate   = alertRate(market, alert);
+    const action = checkAlert(alert, rate, now);
+    if (action === "rearm") {
+      alert.armed     = true;
+      alert.triggered = false;
+      alert.rearmedAt = new Date(now).toISOString();
+      rearmed.push(alert);
+      continue;
+    }
+    if (action !== "fire") continue;
+
+    if (alert.rule !== "digest") {
+      alert.armed     = false;
+      alert.triggered = true;
+    }
+    alert.triggeredAt   = new Date(now).toISOString();
+    alert.triggeredRate = rate.value;
+    alert.lastSentAt    = alert.triggeredAt;
+    triggered.push(alert);
+
+    const unsubUrl  = `${alertLink("/api/alerts/verify", "unsubscribe", alert.email, alert.id)}&action=unsubscribe`;
+    const manageUrl = alertLink("/api/alerts/manage", "manage", alert.email);
+    const email = renderEmail(alert.rule === "digest" ? "digest" : "alert", firedEmailData(alert, rate, { manage: manageUrl, unsubscribe: unsubUrl }), alert.locale);
+    const delivery = await deliverAlert(alert, {
+      event:     alert.rule === "digest" ? "alert.digest" : "alert.fired",
+      rate,
+      ...(["target", "drop", undefined].includes(alert.rule) && { threshold: alertThreshold(alert) }),
+      ...email,
+    });
+    deliveries[delivery.status]++;
+    if (delivery.status === "delivered" && delivery.channel === "email") emailsSent++;
+  }
+
+  const evaluated = new Map([...triggered, ...rearmed].map(a => [a.id, a]));
+  await alertTransaction(stored => {
+    for (const alert of stored) {
+      const result = evaluated.get(alert.id);
+      if (!result) continue;
+      // Edited mid-run: the new rule keeps its fresh state, only the delivery log is merged
+      const fields = alert.updatedAt === result.updatedAt ? EVALUATION_FIELDS : ["lastSentAt", "deliveries"];
+      for (const field of fields) if (result[field] !== undefined) alert[field] = result[field];
+    }
+  });
+  return {
+    currentRates,
+    totalAlerts:     alerts.length,
+    triggered:       triggered.length,
+    byRule:          Object.fromEntries(rules.map(r => [r, triggered.filter(a => (a.rule || "target") === r).length])),
+    rearmed:         rearmed.length,
+    purged,
+    deliveries,
+    emailsSent,
+  };
+}
+
+// Manual run of an alert job — admin credentials required
+// POST /api/alerts/trigger?job=alerts|digests
+app.post("/api/alerts/trigger", requireAdmin, async (req, res) => {
+  const job = req.query.job || "alerts";
+  if (!["alerts", "digests"].includes(job)) return res.status(400).json({ error: "Unknown job", valid: ["alerts", "digests"] });
+  const run = await runJob(job, "api");
+  if (run.outcome === "skipped") return res.status(409).json({ error: run.error, run });
+  if (run.outcome === "failed")  return res.status(500).json({ error: run.error, run });
+  res.json({ success: true, ...run.counts, run: { id: run.id, job: run.job, durationMs: run.durationMs }, timestamp: run.endedAt });
+});
 
-    cache.set("today_rates", response, 3600);
-    res.json(response);
-  } catch (err) {
-    console.error("GET /api/rates/today error:", err.message);
+// GET /api/alerts/count — show how many alerts are active (public, for social proof)
+app.get("/api/alerts/count", (req, res) => {
+  const alerts = loadAlerts();
+  const confirmed = alerts.filter(isActive);
+  res.json({ count: confirmed.length, active: confirmed.filter(a => a.armed ?? !a.triggered).length, pending: alerts.length - confirmed.length });
+});
+
+// ── Admin: subscriptions
+// GET /api/admin/alerts?q=&status=&loanType=&rule=&channel=&state=&locale=&sort=-createdAt&page=1&limit=50
+// GET /api/admin/alerts/export?format=csv|json  (same filters, no paging)
+// GET /api/admin/alerts/:id
+const ALERT_FILTERS   = ["status", "loanType", "rule", "channel", "state", "locale"];
+const ALERT_SORTS     = ["createdAt", "updatedAt", "confirmedAt", "triggeredAt", "email", "loanType"];
+const ALERT_PAGE_MAX  = 200;
+const ALERT_EXPORT_COLUMNS = ["id", "email", "name", "loanType", "state", "rule", "description", "channel", "status", "armed", "locale", "createdAt", "confirmedAt", "updatedAt", "triggeredAt", "triggeredRate", "lastDelivery"];
+
+// Field value with the defaults older records leave implicit
+const alertValue = (alert, field) => alert[field] ?? { rule: "target", channel: "email" }[field];
+
+// Filtered, sorted alerts for the admin query → { alerts } or { error, valid? }
+function adminAlertQuery(query) {
+  const { q, sort = "-createdAt" } = query;
+  const field = sort.replace(/^-/, "");
+  if (!ALERT_SORTS.includes(field)) return { error: "Unknown sort", valid: ALERT_SORTS };
+
+  const needle = q ? String(q).trim().toLowerCase() : "";
+  const alerts = loadAlerts().filter(a =>
+    ALERT_FILTERS.every(f => query[f] === undefined || String(alertValue(a, f)) === String(query[f])) &&
+    (!needle || [a.email, a.name, a.id, a.legacyId].some(v => v != null && String(v).toLowerCase().includes(needle))));
+  const dir = sort.startsWith("-") ? -1 : 1;
+  alerts.sort((a, b) => dir * String(a[field] ?? "").localeCompare(String(b[field] ?? "")));
+  return { alerts };
+}
+
+function alertExportRow(alert) {
+  const last = (alert.deliveries || []).slice(-1)[0];
+  return { ...publicAlert(alert), rule: alertValue(alert, "rule"), channel: alertValue(alert, "channel"), lastDelivery: last ? `${last.status} ${last.at}` : "" };
+}
+
+app.get("/api/admin/alerts", requireAdmin, (req, res) => {
+  try {
+    const result = adminAlertQuery(req.query);
+    if (result.error) return res.status(400).json(result);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), ALERT_PAGE_MAX);
+    const pages = Math.max(1, Math.ceil(result.alerts.length / limit));
+    const page  = Math.min(Math.max(parseInt(req.query.page) || 1, 1), pages);
+    res.json({
+      total:  result.alerts.length,
+      page, pages, limit,
+      alerts: result.alerts.slice((page - 1) * limit, page * limit).map(publicAlert),
+    });
+  } catch(err) {
+    console.error("admin alerts error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── /api/rates/:type
-app.get("/api/rates/:type", async (req, res) => {
-  const typeMap = {
-    "30yr":       FRED_SERIES.rate_30yr,
-    "15yr":       FRED_SERIES.rate_15yr,
-    "treasury10": FRED_SERIES.treasury10,
-    "fedfunds":   FRED_SERIES.fed_funds,
-    "prime":      FRED_SERIES.prime_rate,
-  };
-  const seriesId = typeMap[req.params.type];
-  if (!seriesId) return res.status(400).json({ error: "Unknown type", valid: Object.keys(typeMap) });
+app.get("/api/admin/alerts/export", requireAdmin, (req, res) => {
   try {
-    res.json(await fetchFredSeries(seriesId));
-  } catch (err) {
+    const { format = "csv" } = req.query;
+    if (!["csv", "json"].includes(format)) return res.status(400).json({ error: "Unknown format", valid: ["csv", "json"] });
+    const result = adminAlertQuery(req.query);
+    if (result.error) return res.status(400).json(result);
+    const rows     = result.alerts.map(alertExportRow);
+    const filename = `alerts-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "json") return res.json(rows);
+    res.type("text/csv").send([
+      ALERT_EXPORT_COLUMNS.join(","),
+      ...rows.map(row => ALERT_EXPORT_COLUMNS.map(c => csvCell(row[c])).join(",")),
+    ].join("\r\n") + "\r\n");
+  } catch(err) {
+    console.error("admin export error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── /api/calculate
-app.get("/api/calculate", (req, res) => {
-  const { price=400000, down=80000, rate=6.75, term=30, property_tax=0, insurance=0, hoa=0 } = req.query;
-  const principal = parseFloat(price) - parseFloat(down);
-  if (principal <= 0) return res.status(400).json({ error: "Down payment cannot exceed price" });
-
-  const r = parseFloat(rate) / 100 / 12;
-  const n = parseFloat(term) * 12;
-  const pi    = r > 0 ? principal * (r * Math.pow(1+r,n)) / (Math.pow(1+r,n)-1) : principal/n;
-  const taxMo = parseFloat(property_tax) / 12;
-  const insMo = parseFloat(insurance) / 12;
-  const ltv   = (principal / parseFloat(price)) * 100;
-  const pmi   = ltv > 80 ? +(principal * 0.01 / 12).toFixed(2) : 0;
-
-  let balance = principal, schedule = [];
-  for (let i = 1; i <= n; i++) {
-    const interest = balance * r, prn = pi - interest;
-    balance -= prn;
-    if (i <= 24 || i % 12 === 0)
-      schedule.push({ month:i, payment:+pi.toFixed(2), principal:+prn.toFixed(2), interest:+interest.toFixed(2), balance:+Math.max(0,balance).toFixed(2) });
+app.get("/api/admin/alerts/:id", requireAdmin, (req, res) => {
+  try {
+    const alert = loadAlerts().find(a => hasId(a, req.params.id));
+    if (!alert) return res.status(404).json({ error: "Alert not found" });
+    res.json(publicAlert(alert));
+  } catch(err) {
+    console.error("admin alert error:", err.message);
+    res.status(500).json({ error: err.message });
   }
-
-  res.json({
-    inputs:  { price:+price, down:+down, rate:+rate, term:+term },
-    monthly: { principal_interest:+pi.toFixed(2), property_tax:+taxMo.toFixed(2), insurance:+insMo.toFixed(2), hoa:+parseFloat(hoa).toFixed(2), pmi, total:+(pi+taxMo+insMo+parseFloat(hoa)+pmi).toFixed(2) },
-    loan:    { amount:+principal.toFixed(2), ltv:+ltv.toFixed(1), pmi_required:ltv>80, total_payments:+(pi*n).toFixed(2), total_interest:+(pi*n-principal).toFixed(2) },
-    amortization: schedule,
-  });
 });
 
-// ── /api/affordability
-app.get("/api/affordability", (req, res) => {
-  const { annual_income=100000, monthly_debts=500, down_payment=60000, rate=6.75, term=30, dti_limit=43 } = req.query;
-  const mo = parseFloat(annual_income)/12;
-  const r  = parseFloat(rate)/100/12, n = parseFloat(term)*12;
-  const f  = r > 0 ? r*Math.pow(1+r,n)/(Math.pow(1+r,n)-1) : 1/n;
-  const avail43 = mo*(parseFloat(dti_limit)/100)-parseFloat(monthly_debts);
-  const avail28 = mo*0.28;
-  res.json({
-    inputs:       { annual_income:+annual_income, monthly_debts:+monthly_debts, down_payment:+down_payment, rate:+rate },
-    recommended:  { max_home_price:+Math.round(avail43/f+parseFloat(down_payment)), max_loan:+Math.round(avail43/f), monthly_payment:+avail43.toFixed(2), dti:+dti_limit },
-    conservative: { max_home_price:+Math.round(avail28/f+parseFloat(down_payment)), max_loan:+Math.round(avail28/f), monthly_payment:+avail28.toFixed(2), dti:28 },
-    monthly_income: +mo.toFixed(2),
-  });
-});
+// ── Admin: email template preview
+// GET /api/admin/templates — template names and locales
+// GET /api/admin/templates/:name/preview?locale=es&rule=drop&format=html|text|json
+function templateNames() {
+  return fs.readdirSync(path.join(TEMPLATES_DIR, DEFAULT_LOCALE))
+    .filter(f => f.endsWith(".html") && f !== "layout.html")
+    .map(f => f.replace(/\.html$/, ""));
+}
 
-// ── /api/refinance
-app.get("/api/refinance", (req, res) => {
-  const { current_balance=320000, current_rate=7.5, new_rate=6.75, remaining_term=25, new_term=30, closing_costs=6000 } = req.query;
-  const pmt = (bal, rt, yrs) => { const r=rt/100/12, n=yrs*12; return r>0?bal*(r*Math.pow(1+r,n))/(Math.pow(1+r,n)-1):bal/n; };
-  const bal     = parseFloat(current_balance);
-  const currPmt = pmt(bal, parseFloat(current_rate), parseFloat(remaining_term));
-  const newPmt  = pmt(bal, parseFloat(new_rate), parseFloat(new_term));
-  const savings = currPmt - newPmt;
-  const beMo    = savings > 0 ? Math.ceil(parseFloat(closing_costs)/savings) : null;
-  const intSave = (currPmt*parseFloat(remaining_term)*12-bal) - (newPmt*parseFloat(new_term)*12-bal);
-  res.json({
-    inputs:    { current_balance:+current_balance, current_rate:+current_rate, new_rate:+new_rate, closing_costs:+closing_costs },
-    monthly:   { current_payment:+currPmt.toFixed(2), new_payment:+newPmt.toFixed(2), monthly_savings:+savings.toFixed(2) },
-    breakeven: { months:beMo, years:beMo?+(beMo/12).toFixed(1):null, worth_it:beMo?beMo<parseFloat(new_term)*12:false },
-    lifetime:  { interest_savings:+intSave.toFixed(2), net_savings_after_costs:+(intSave-parseFloat(closing_costs)).toFixed(2) },
-  });
+// Sample data for previews, built the same way as real sends
+function templateSample(name, locale, rule = "target") {
+  const brand = loadBranding();
+  const alert = {
+    id: 1, email: "jane@example.com", name: "Jane <Sample>", loanType: "30yr", state: "CA", locale,
+    rule: name === "digest" ? "digest" : rule, targetRate: 6.25, dropBps: 25, baseRate: 6.85, moveBps: 15, channel: "email",
+  };
+  const rate  = { value: 6.2, change: -0.18, stateAdj: 0.01 };
+  const links = { manage: `${brand.apiUrl}/api/alerts/manage?token=sample`, unsubscribe: `${brand.apiUrl}/api/alerts/verify?token=sample&action=unsubscribe` };
+  switch (name) {
+    case "confirm": return alertEmailData(alert, { currentRate: 6.62, confirmUrl: `${brand.apiUrl}/api/alerts/confirm?token=sample`, expiresHours: Math.round(CONFIRM_TTL_MS / 3600000) });
+    case "manage":  return { name: alert.name, loanType: alert.loanType, changeRequest: rule === "change", manageUrl: links.manage };
+    default:        return firedEmailData(alert, rate, links);
+  }
+}
+
+app.get("/api/admin/templates", requireAdmin, (req, res) => {
+  res.json({ templates: templateNames(), locales: templateLocales(), defaultLocale: DEFAULT_LOCALE, rules: ALERT_RULES });
 });
 
-// ── /api/health
-app.get("/api/health", (req, res) => {
-  res.json({
-    status:      "ok",
-    service:     "RateCroft Rates API",
-    version:     "1.0.0",
-    live:        HAS_KEY,
-    fred_key:    HAS_KEY ? "✓ set" : "✗ missing — using fallback rates",
-    cache_keys:  cache.keys().length,
-    uptime_sec:  Math.floor(process.uptime()),
-    timestamp:   new Date().toISOString(),
-  });
+app.get("/api/admin/templates/:name/preview", requireAdmin, (req, res) => {
+  try {
+    const { name } = req.params;
+    const { format = "json", rule = "target" } = req.query;
+    if (!templateNames().includes(name)) return res.status(404).json({ error: "Unknown template", valid: templateNames() });
+    const locale   = pickLocale(req.query.locale);
+    const rendered = renderEmail(name, templateSample(name, locale, rule), locale);
+    if (format === "html") return res.type("html").send(rendered.html);
+    if (format === "text") return res.type("text").send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+    res.json({ template: name, locale, ...rendered });
+  } catch (err) {
+    console.error("template preview error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ─────────────────────────────────────────────
-// FEATURE 1: LENDER RATE QUOTES BY STATE
-// GET /api/lender-quotes?state=CA&loanType=30yr&creditScore=780&price=500000&down=100000
-// Returns 8 realistic lender quotes with slight rate variations per state
+// FEATURE 4: ARM PAYMENT SIMULATOR
+// GET /api/arm-simulate?amount=320000&fixed_years=5&adjust_months=12&margin=2.75&initial_cap=2&periodic_cap=2&lifetime_cap=5
+// Projects the payment after the fixed period under flat, rising,
+// falling and historical index paths, plus the cap-limited worst case
 // ─────────────────────────────────────────────
+const ARM_INDEXES  = { treasury10: FRED_SERIES.treasury10, fedfunds: FRED_SERIES.fed_funds };
+const ARM_DEFAULTS = { margin: 2.75, caps: { initial: 2, periodic: 2, lifetime: 5 } };
 
-// National lenders database — affiliate links ready (replace # with your affiliate URL)
-const LENDERS = [
-  { id:"rocket",     name:"Rocket Mortgage",  logo:"🚀", type:"online",  nmls:"3030",   minCredit:580, affilUrl:"https://www.rocketmortgage.com/?qls=rc_ratecroft" },
-  { id:"uwm",        name:"United Wholesale",  logo:"🏛️", type:"broker",  nmls:"3038",   minCredit:620, affilUrl:"https://www.uwm.com/" },
-  { id:"loanDepot",  name:"loanDepot",         logo:"💚", type:"online",  nmls:"174457", minCredit:620, affilUrl:"https://www.loandepot.com/" },
-  { id:"newrez",     name:"NewRez",            logo:"🔵", type:"online",  nmls:"3013",   minCredit:620, affilUrl:"https://www.newrez.com/" },
-  { id:"penfed",     name:"PenFed CU",         logo:"🦅", type:"credit",  nmls:"401822", minCredit:650, affilUrl:"https://www.penfed.org/mortgage" },
-  { id:"bof a",      name:"Bank of America",   logo:"🏦", type:"bank",    nmls:"399802", minCredit:620, affilUrl:"https://www.bankofamerica.com/mortgage/" },
-  { id:"chase",      name:"Chase",             logo:"🏦", type:"bank",    nmls:"399798", minCredit:620, affilUrl:"https://www.chase.com/personal/mortgage" },
-  { id:"wells",      name:"Wells Fargo",       logo:"🏦", type:"bank",    nmls:"399801", minCredit:620, affilUrl:"https://www.wellsfargo.com/mortgage/" },
-  { id:"better",     name:"Better.com",        logo:"⚡", type:"online",  nmls:"330511", minCredit:620, affilUrl:"https://better.com/" },
-  { id:"guaranteed", name:"Guaranteed Rate",   logo:"✅", type:"online",  nmls:"2611",   minCredit:580, affilUrl:"https://www.rate.com/" },
-  { id:"ally",       name:"Ally Bank",         logo:"🟣", type:"online",  nmls:"196733", minCredit:620, affilUrl:"https://www.ally.com/home-loans/" },
-  { id:"flagstar",   name:"Flagstar Bank",     logo:"🔴", type:"bank",    nmls:"417490", minCredit:580, affilUrl:"https://www.flagstar.com/loans/mortgage.html" },
-];
+// Last observation of each month, ascending
+function monthlySeries(obs) {
+  const byMonth = new Map();
+  for (const o of obs) byMonth.set(o.date.slice(0, 7), o.value);
+  return [...byMonth.values()];
+}
 
-// State-level rate adjustments (some states have higher costs/taxes → slightly higher rates)
-const STATE_RATE_ADJ = {
-  CA:-0.03, NY:-0.04, MA:-0.03, WA:-0.02, CO:-0.02, OR:-0.02,
-  TX: 0.02, FL: 0.01, GA: 0.01, AZ: 0.00, NC: 0.00, VA:-0.01,
-  OH: 0.02, MI: 0.02, PA: 0.01, IL: 0.01, NJ:-0.01, MD:-0.01,
-  // Default for unlisted states: +0.01
-};
+function simulateArm({ amount, term, initialRate, fixedMonths, adjustMonths, margin, caps, floor, indexAt }) {
+  const n       = term * 12;
+  const ceiling = initialRate + caps.lifetime;
+  let rate = initialRate, balance = amount, payment = monthlyPayment(amount, initialRate, term);
+  let adjustments = 0, totalInterest = 0, maxPayment = payment, maxRate = rate, firstAdjustment = null;
+  const schedule = [];
+
+  for (let m = 1; m <= n && balance > 0.005; m++) {
+    const index = indexAt(m);
+    if (m > fixedMonths && (m - fixedMonths - 1) % adjustMonths === 0) {
+      const cap        = adjustments === 0 ? caps.initial : caps.periodic;
+      const fullyIndex = Math.round((index + margin) * 8) / 8;  // nearest 1/8%
+      rate = Math.min(rate + cap, Math.max(rate - cap, fullyIndex));
+      rate = Math.min(ceiling, Math.max(floor, rate));
+      payment = monthlyPayment(balance, rate, (n - m + 1) / 12);
+      adjustments++;
+      if (!firstAdjustment) firstAdjustment = { month: m, rate, payment: +payment.toFixed(2) };
+    }
+    const interest = balance * rate / 100 / 12;
+    const prn      = Math.min(payment - interest, balance);
+    balance       -= prn;
+    totalInterest += interest;
+    maxPayment     = Math.max(maxPayment, prn + interest);
+    maxRate        = Math.max(maxRate, rate);
+    schedule.push({ month:m, index:+index.toFixed(3), rate:+rate.toFixed(3), payment:+(prn+interest).toFixed(2), principal:+prn.toFixed(2), interest:+interest.toFixed(2), balance:+Math.max(0,balance).toFixed(2) });
+  }
 
-// Credit score → rate adjustment
-function creditAdj(score) {
-  if (score >= 780) return 0;
-  if (score >= 760) return 0.05;
-  if (score >= 740) return 0.10;
-  if (score >= 720) return 0.18;
-  if (score >= 700) return 0.25;
-  if (score >= 680) return 0.35;
-  if (score >= 660) return 0.45;
-  if (score >= 640) return 0.60;
-  if (score >= 620) return 0.75;
-  return 1.00;
-}
-
-// LTV → rate adjustment
-function ltvAdj(price, down) {
-  const ltv = ((price - down) / price) * 100;
-  if (ltv <= 60)  return -0.15;
-  if (ltv <= 70)  return -0.10;
-  if (ltv <= 75)  return -0.05;
-  if (ltv <= 80)  return  0.00;
-  if (ltv <= 85)  return  0.10;
-  if (ltv <= 90)  return  0.20;
-  if (ltv <= 95)  return  0.30;
-  return 0.40;
+  return {
+    summary: { first_adjustment:firstAdjustment, max_rate:+maxRate.toFixed(3), max_payment:+maxPayment.toFixed(2), total_interest:+totalInterest.toFixed(2) },
+    schedule,
+  };
 }
 
-app.get("/api/lender-quotes", async (req, res) => {
+app.get("/api/arm-simulate", async (req, res) => {
   try {
-    let { state="CA", loanType="30yr", creditScore=760, price=500000, down=100000, purpose="purchase" } = req.query;
-    state       = String(state).toUpperCase().slice(0,2);
-    creditScore = parseInt(creditScore);
-    price       = parseFloat(price);
-    down        = parseFloat(down);
-    const loan  = price - down;
-
-    // Get base rate from FRED (or fallback)
-    const r30 = await fetchFredSeries(FRED_SERIES.rate_30yr);
-    const r15 = await fetchFredSeries(FRED_SERIES.rate_15yr);
-
-    // Determine base rate for requested loan type
-    const loanBaseRates = {
-      "30yr":    r30.value,
-      "15yr":    r15.value,
-      "arm51":   +(r30.value - 0.55).toFixed(2),
-      "fha30":   +(r30.value - 0.25).toFixed(2),
-      "va30":    +(r30.value - 0.50).toFixed(2),
-      "jumbo30": +(r30.value + 0.25).toFixed(2),
-    };
-    const baseRate = loanBaseRates[loanType] || r30.value;
-    const stateAdj = STATE_RATE_ADJ[state] ?? 0.01;
-    const crAdj    = creditAdj(creditScore);
-    const ltvA     = ltvAdj(price, down);
+    const { amount=320000, term=30, fixed_years=5, adjust_months=12, margin=ARM_DEFAULTS.margin,
+            initial_cap=ARM_DEFAULTS.caps.initial, periodic_cap=ARM_DEFAULTS.caps.periodic, lifetime_cap=ARM_DEFAULTS.caps.lifetime,
+            index="treasury10", step_bps=100 } = req.query;
+    const indexId = ARM_INDEXES[index];
+    if (!indexId) return res.status(400).json({ error: "Unknown index", valid: Object.keys(ARM_INDEXES) });
 
-    // Refi adds ~0.10%
-    const purposeAdj = purpose === "refinance" ? 0.10 : purpose === "cashout" ? 0.30 : 0;
+    const loan        = parseFloat(amount);
+    const years       = parseFloat(term);
+    const fixedMonths = parseFloat(fixed_years) * 12;
+    if (!(loan > 0) || !(years > 0)) return res.status(400).json({ error: "amount and term must be positive" });
+    if (!(fixedMonths > 0 && fixedMonths < years * 12)) return res.status(400).json({ error: "fixed_years must be shorter than term" });
 
-    // Generate quotes — each lender has a small random spread simulating real competition
-    const loanTermMap = { "30yr":30,"15yr":15,"arm51":30,"fha30":30,"va30":30,"jumbo30":30 };
-    const term = loanTermMap[loanType] || 30;
+    const [r30, idx] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(indexId)]);
 
-    const pmt = (p, r, y) => {
-      const mr = r/100/12, n = y*12;
-      return mr > 0 ? +(p*(mr*Math.pow(1+mr,n))/(Math.pow(1+mr,n)-1)).toFixed(2) : +(p/n).toFixed(2);
-    };
+    // Default start rate follows the ARM spreads used in /api/today-rates
+    const armSpread   = { 5:-0.55, 7:-0.40, 10:-0.20 }[parseFloat(fixed_years)] ?? -0.55;
+    const initialRate = req.query.initial_rate !== undefined ? parseFloat(req.query.initial_rate) : +(r30.value + armSpread).toFixed(2);
+    const caps  = { initial:parseFloat(initial_cap), periodic:parseFloat(periodic_cap), lifetime:parseFloat(lifetime_cap) };
+    const floor = req.query.floor !== undefined ? parseFloat(req.query.floor) : parseFloat(margin);
+    const step  = parseFloat(step_bps) / 100;
 
-    // Filter lenders by min credit, then pick 8 and generate quotes
-    const eligible = LENDERS.filter(l => creditScore >= l.minCredit);
-    // Shuffle deterministically based on state so results look consistent
-    const seed     = state.charCodeAt(0) + state.charCodeAt(1);
-    const sorted   = [...eligible].sort((a,b) => (a.id.charCodeAt(0)+seed)%7 - (b.id.charCodeAt(0)+seed)%7);
-    const selected = sorted.slice(0, 8);
-
-    const quotes = selected.map((lender, i) => {
-      // Each lender gets a slight competitive variation: -0.15 to +0.20
-      const lenderVar = parseFloat(((i * 0.04 - 0.08) + (Math.sin(seed + i) * 0.05)).toFixed(3));
-      const rate      = parseFloat((baseRate + stateAdj + crAdj + ltvA + purposeAdj + lenderVar).toFixed(3));
-      const points    = parseFloat((0.5 + i * 0.08 - lenderVar * 2).toFixed(2));
-      const fees      = Math.round(2800 + i * 200 - lenderVar * 500);
-      const apr       = parseFloat((rate + 0.08 + points * 0.06 + fees/loan*0.04).toFixed(3));
-      const monthly   = pmt(loan, rate, term);
+    // Historical path: the index's own monthly moves, replayed from today's level
+    const { obs } = await readSeries(indexId);
+    const hist    = monthlySeries(obs).slice(-years * 12);
+    const histAt  = m => idx.value + ((hist[Math.min(m, hist.length) - 1] ?? hist[0] ?? idx.value) - (hist[0] ?? idx.value));
 
-      return {
-        lender:      lender.name,
-        lenderLogo:  lender.logo,
-        lenderType:  lender.type,
-        nmls:        lender.nmls,
-        affilUrl:    lender.affilUrl,
-        rate:        rate,
-        apr:         apr,
-        points:      Math.max(0, points),
-        fees:        Math.max(1500, fees),
-        monthlyPmt:  monthly,
-        loanAmount:  loan,
-        term:        term,
-        loanType:    loanType,
-        badge:       i === 0 ? "Lowest Rate" : i === 1 ? "Best Value" : i === 2 ? "Lowest Fees" : null,
-      };
-    });
+    const paths = {
+      flat:       () => idx.value,
+      rising:     m => idx.value + step * Math.floor((m - 1) / 12),
+      falling:    m => Math.max(0, idx.value - step * Math.floor((m - 1) / 12)),
+      historical: histAt,
+    };
+    const base = {
+      amount: loan, term: years, initialRate, fixedMonths,
+      adjustMonths: parseFloat(adjust_months), margin: parseFloat(margin), caps, floor,
+    };
 
-    // Sort by rate (lowest first)
-    quotes.sort((a,b) => a.rate - b.rate);
-    quotes[0].badge = "Lowest Rate";
-    // Best value = lowest APR
-    const bestVal = [...quotes].sort((a,b) => a.apr - b.apr)[1];
-    if (bestVal) bestVal.badge = "Best Value";
-    // Lowest fees
-    const lowFee = [...quotes].sort((a,b) => a.fees - b.fees)[2];
-    if (lowFee && !lowFee.badge) lowFee.badge = "Lowest Fees";
+    const results = Object.fromEntries(Object.entries(paths).map(([name, indexAt]) => [name, simulateArm({ ...base, indexAt })]));
+    const worst   = simulateArm({ ...base, indexAt: () => 100 }).summary;  // every cap binds
+    const initialPayment = monthlyPayment(loan, initialRate, years);
 
     res.json({
-      state, loanType, creditScore, price, down, loan,
-      purpose, term,
-      baseRate, adjustments: { state:stateAdj, credit:crAdj, ltv:ltvA, purpose:purposeAdj },
-      updatedAt: new Date().toISOString(),
-      quotes,
+      inputs: { amount:loan, term:years, initial_rate:initialRate, fixed_years:+fixed_years, adjust_months:+adjust_months, margin:+margin, caps, floor, step_bps:+step_bps },
+      index:  { name:index, seriesId:indexId, current:idx.value, date:idx.date, history_months:hist.length },
+      ...seriesMeta(r30, idx),
+      initial_payment: +initialPayment.toFixed(2),
+      worst_case: {
+        rate:          worst.max_rate,
+        payment:       worst.max_payment,
+        first_reset:   worst.first_adjustment,
+        increase:      +(worst.max_payment - initialPayment).toFixed(2),
+        increase_pct:  +((worst.max_payment / initialPayment - 1) * 100).toFixed(1),
+      },
+      paths: results,
     });
   } catch(err) {
-    console.error("lender-quotes error:", err.message);
+    console.error("arm-simulate error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
 // ─────────────────────────────────────────────
-// FEATURE 2: RATE HISTORY — 1yr / 3yr / 5yr
-// GET /api/rate-history?period=1yr&series=30yr
-// Fetches real FRED historical data for trend charts
+// FEATURE 5: DISCOUNT POINTS & TEMPORARY BUYDOWNS
+// GET /api/buydown?price=500000&down=100000&points=0,0.5,1,2&temporary=2-1,3-2-1&hold_years=7
+// The par (zero-point) rate comes from /api/lender-quotes pricing: the
+// median quote's rate plus what its points bought, at per_point % of
+// rate per point (default 0.25)
 // ─────────────────────────────────────────────
-app.get("/api/rate-history", async (req, res) => {
+app.get("/api/buydown", async (req, res) => {
   try {
-    let { period="1yr", series="30yr" } = req.query;
+    const { points="0,0.5,1,2", temporary="2-1,3-2-1", per_point=0.25, hold_years=7, temp_paid_by="seller" } = req.query;
+    const borrower = borrowerFrom(req.query, { state:"CA", creditScore:760, price:500000, down:100000 });
+    const invalid  = pricingError(borrower);
+    if (invalid) return res.status(400).json(invalid);
 
-    const seriesMap = {
-      "30yr": FRED_SERIES.rate_30yr,
-      "15yr": FRED_SERIES.rate_15yr,
-      "arm":  FRED_SERIES.rate_30yr,  // derive ARM from 30yr
-    };
-    const fredId = seriesMap[series] || FRED_SERIES.rate_30yr;
-
-    const periodDays = { "1yr":365, "3yr":1095, "5yr":1825, "10yr":3650 };
-    const days       = periodDays[period] || 365;
-
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    const startStr  = startDate.toISOString().split("T")[0];
-
-    // Limit for each period (avoid huge payloads)
-    const limitMap  = { "1yr":55, "3yr":160, "5yr":265, "10yr":530 };
-    const limit     = limitMap[period] || 55;
-
-    if (!HAS_KEY) {
-      // Generate synthetic history from fallback
-      const fb = FALLBACK.rate_30yr.value;
-      const points = [];
-      const pointCount = { "1yr":12,"3yr":36,"5yr":60,"10yr":120 }[period] || 12;
-      for (let i = pointCount; i >= 0; i--) {
-        const d = new Date(); d.setMonth(d.getMonth()-i);
-        const val = +(fb + Math.sin(i*0.4)*0.8 + (i > 20 ? 1.2 : 0)).toFixed(2);
-        points.push({ date: d.toISOString().split("T")[0], value: val });
-      }
-      return res.json({ series, period, live:false, data: points,
-        min: Math.min(...points.map(p=>p.value)),
-        max: Math.max(...points.map(p=>p.value)),
-        current: points[points.length-1]?.value,
-        start:   points[0]?.value,
-      });
-    }
+    const pointList = String(points).split(",").filter(Boolean).map(parseFloat);
+    if (pointList.some(p => !(p >= 0 && p <= 4))) return res.status(400).json({ error: "points must be a list of values from 0 to 4 (e.g. 0,0.5,1,2)" });
+    const tempList = String(temporary).split(",").filter(Boolean);
+    if (tempList.some(t => !/^[1-3](-[0-3])*$/.test(t))) return res.status(400).json({ error: "temporary must be buydowns like 2-1 or 3-2-1" });
+    if (!["seller", "buyer", "lender"].includes(temp_paid_by)) return res.status(400).json({ error: "Unknown temp_paid_by", valid: ["seller", "buyer", "lender"] });
 
-    const { data } = await axios.get(FRED_BASE, {
-      params: {
-        series_id:         fredId,
-        api_key:           FRED_API_KEY,
-        file_type:         "json",
-        sort_order:        "asc",
-        observation_start: startStr,
-        limit,
-      },
-      timeout: 15000,
+    const resolved = resolveQuoteType(borrower, req.query.loanType || "30yr");
+    if (resolved.error) return res.status(400).json(resolved);
+    const { loanType } = resolved;
+
+    const { quotes, term, meta } = await buildLenderQuotes(borrower, loanType);
+    const reference = [...quotes].sort((a,b) => a.rate - b.rate)[Math.floor(quotes.length / 2)];
+    const perPoint  = parseFloat(per_point);
+    const parRate   = +(reference.rate + reference.points * perPoint).toFixed(3);
+    const loan      = borrower.loanAmount;
+    const holdMonths = Math.min(term * 12, Math.round(parseFloat(hold_years) * 12));
+
+    const parPayment   = monthlyPayment(loan, parRate, term);
+    const interestOver = rate => amortize({ principal: loan, rate, term }).rows.slice(0, holdMonths).reduce((sum, r) => sum + r.interest, 0);
+    const parInterest  = interestOver(parRate);
+
+    const pointOptions = pointList.map(pts => {
+      const rate      = +(parRate - pts * perPoint).toFixed(3);
+      const payment   = monthlyPayment(loan, rate, term);
+      const cost      = loan * pts / 100;
+      const savings   = parPayment - payment;
+      const breakeven = pts > 0 && savings > 0 ? Math.ceil(cost / savings) : null;
+      const interest  = interestOver(rate);
+      return {
+        option:             `${pts} point${pts === 1 ? "" : "s"}`,
+        kind:               "points",
+        points:             pts,
+        rate,
+        upfront_cost:       +cost.toFixed(2),
+        paid_by:            "buyer",
+        monthly_payment:    +payment.toFixed(2),
+        monthly_savings:    +savings.toFixed(2),
+        breakeven_month:    breakeven,
+        breakeven_years:    breakeven === null ? null : +(breakeven / 12).toFixed(1),
+        interest_over_hold: +interest.toFixed(2),
+        total_cost:         +(cost + interest).toFixed(2),
+        worth_it:           pts === 0 ? null : breakeven !== null && breakeven <= holdMonths,
+      };
     });
 
-    const obs = data.observations
-      .filter(o => o.value !== ".")
-      .map(o => ({ date: o.date, value: parseFloat(o.value) }));
+    // Temporary buydowns: the note rate is par; a subsidy account covers
+    // the payment difference in the reduced years
+    const tempOptions = tempList.map(name => {
+      const steps    = name.split("-").map(Number);
+      const schedule = steps.map((cut, y) => {
+        const rate = +(parRate - cut).toFixed(3);
+        return { year: y + 1, rate, payment: +monthlyPayment(loan, rate, term).toFixed(2) };
+      });
+      schedule.push({ year: steps.length + 1, rate: parRate, payment: +parPayment.toFixed(2), note: "note rate from here on" });
+
+      const monthlySubsidy = schedule.slice(0, steps.length).map(y => parPayment - y.payment);
+      const subsidy        = monthlySubsidy.reduce((sum, m) => sum + m * 12, 0);
+      const usedInHold     = monthlySubsidy.reduce((sum, m, y) => sum + m * Math.max(0, Math.min(12, holdMonths - y * 12)), 0);
+      const buyerUpfront   = temp_paid_by === "buyer" ? subsidy : 0;
+      return {
+        option:             `${name} temporary buydown`,
+        kind:               "temporary",
+        points:             0,
+        rate:               parRate,
+        upfront_cost:       +subsidy.toFixed(2),
+        paid_by:            temp_paid_by,
+        monthly_payment:    schedule[0].payment,
+        payments_by_year:   schedule,
+        breakeven_month:    null,
+        interest_over_hold: +parInterest.toFixed(2),
+        total_cost:         +(buyerUpfront + parInterest - usedInHold).toFixed(2),
+        worth_it:           temp_paid_by !== "buyer",
+      };
+    });
 
-    // If ARM series, subtract spread
-    const points = series === "arm"
-      ? obs.map(o => ({ date: o.date, value: +(o.value - 0.55).toFixed(2) }))
-      : obs;
+    const options = [...pointOptions, ...tempOptions];
+    const best    = [...options].sort((a,b) => a.total_cost - b.total_cost)[0];
 
-    const values = points.map(p => p.value);
     res.json({
-      series, period,
-      live:    true,
-      data:    points,
-      min:     Math.min(...values),
-      max:     Math.max(...values),
-      current: values[values.length-1],
-      start:   values[0],
-      change:  +((values[values.length-1] - values[0]).toFixed(3)),
+      inputs:    { price:borrower.price, down:borrower.down, loan, loanType, term, hold_years:+hold_years, per_point:perPoint, temp_paid_by },
+      par_rate:  parRate,
+      reference_quote: { lender:reference.lender, rate:reference.rate, points:reference.points },
+      ...meta,
+      options,
+      best_for_hold: best.option,
+      note: "total_cost is what the buyer pays over the holding period: upfront cost plus interest, less any subsidy paid by someone else",
     });
   } catch(err) {
-    console.error("rate-history error:", err.message);
+    console.error("buydown error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
 // ─────────────────────────────────────────────
-// FEATURE 3: EMAIL RATE ALERTS
-// POST /api/alerts/subscribe   — add alert
-// DELETE /api/alerts/unsubscribe?email=x&token=y — remove
-// POST /api/alerts/trigger     — internal: check and send (called by cron)
-// GET  /api/alerts/verify?token=x — one-click unsubscribe link
+// SAVED SCENARIOS
+// A calculator, affordability, refinance or lender-quote input set saved
+// under a short id, so a loan officer can send a client a link. The
+// result at save time is kept; reopening with ?refresh=true re-runs the
+// same inputs and lists what moved. Inputs priced from today's rates
+// (no `rate`, or no `new_rate` for refinance) pick up the current rate.
+// Deleting takes the token returned by the save, an HMAC of the id.
+// POST   /api/scenarios     — save { kind, inputs, label?, expiresInDays? }
+// GET    /api/scenarios/:id — saved inputs and result (?refresh=true for changes)
+// DELETE /api/scenarios/:id — ?token= from the save response
 // ─────────────────────────────────────────────
+const SCENARIOS_FILE  = process.env.SCENARIOS_FILE || path.join(__dirname, "scenarios.json");
+const SCENARIO_ID_LEN = 8;
+const ID_ALPHABET     = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+// Computation each kind re-runs (its route's), and the result fields compared on refresh: [path, label, format]
+const SCENARIO_KINDS = {
+  calculate: {
+    path: "/api/calculate", compute: calculateLoan,
+    metrics: [
+      ["inputs.rate",         "Your rate",            "percent"],
+      ["loan.apr",            "Your APR",             "percent"],
+      ["monthly.total",       "Your monthly payment", "money"],
+      ["loan.total_interest", "Total interest",       "money"],
+    ],
+  },
+  affordability: {
+    path: "/api/affordability", compute: affordability,
+    metrics: [
+      ["inputs.rate",                 "The rate",                  "percent"],
+      ["recommended.max_home_price",  "Your maximum home price",   "money"],
+      ["recommended.monthly_payment", "The payment at that price", "money"],
+    ],
+  },
+  refinance: {
+    path: "/api/refinance", compute: refinanceComparison,
+    metrics: [
+      ["inputs.new_rate",         "The new rate",                  "percent"],
+      ["monthly.new_payment",     "Your new payment",              "money"],
+      ["monthly.monthly_savings", "Your monthly savings",          "money"],
+      ["horizon.net_savings",     "Net savings over your horizon", "money"],
+    ],
+  },
+  quote: {
+    path: "/api/lender-quotes", compute: lenderQuotes,
+    metrics: [
+      ["baseRate",            "The base rate",                 "percent"],
+      ["quotes.0.rate",       "The lowest quoted rate",        "percent"],
+      ["quotes.0.monthlyPmt", "The payment at the lowest rate", "money"],
+    ],
+  },
+};
+
+// Change amounts in messages: whole dollars, rates to 3 places
+const CHANGE_FORMATS = {
+  money:   v => v.toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 }),
+  percent: v => `${+v.toFixed(3)}%`,
+};
+const CHANGE_EPSILON = { money: 0.5, percent: 0.0005 };
 
-function makeToken(email) {
-  // Simple deterministic token (not crypto — just for unsubscribe links)
-  return Buffer.from(email + "ratecroft2026").toString("base64").replace(/[^a-zA-Z0-9]/g,"").slice(0,24);
+function loadScenarios() {
+  try { return JSON.parse(fs.readFileSync(SCENARIOS_FILE, "utf8")); }
+  catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Cannot read ${SCENARIOS_FILE}: ${err.message}`);
+  }
 }
 
-app.post("/api/alerts/subscribe", async (req, res) => {
+let scenarioQueue = Promise.resolve();
+
+// Runs fn(scenarios) with exclusive write access and saves the array if fn changed it
+function scenarioTransaction(fn) {
+  const run = scenarioQueue.then(async () => {
+    const scenarios = loadScenarios();
+    const before    = JSON.stringify(scenarios);
+    const result    = await fn(scenarios);
+    if (JSON.stringify(scenarios) !== before) writeJsonAtomic(SCENARIOS_FILE, scenarios);
+    return result;
+  });
+  scenarioQueue = run.catch(() => {});
+  return run;
+}
+
+function newScenarioId(taken) {
+  let id;
+  do id = Array.from({ length: SCENARIO_ID_LEN }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]).join("");
+  while (taken.has(id));
+  return id;
+}
+
+const scenarioToken = id => crypto.createHmac("sha256", ALERT_SECRET).update(`scenario:${id}`).digest("base64url");
+
+function validScenarioToken(id, token) {
+  const given    = Buffer.from(String(token || ""));
+  const expected = Buffer.from(scenarioToken(id));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const isExpired = scenario => scenario.expiresAt !== null && Date.parse(scenario.expiresAt) <= Date.now();
+
+function publicScenario({ result, ...scenario }) {
+  const brand = loadBranding();
+  return {
+    ...scenario,
+    links: { share: `${brand.scenarioUrl}?id=${scenario.id}`, api: `${brand.apiUrl}/api/scenarios/${scenario.id}` },
+    saved: result,
+  };
+}
+
+// Result for a kind's inputs, or { error }. /api/refinance defaults
+// new_rate to a fixed figure; a saved refinance without one is run at
+// today's base rate for the new term instead.
+async function runScenario(kind, inputs) {
+  let query = inputs;
+  if (kind === "refinance" && inputs.new_rate === undefined) {
+    const [r30, r15] = await Promise.all([fetchFredSeries(FRED_SERIES.rate_30yr), fetchFredSeries(FRED_SERIES.rate_15yr)]);
+    query = { ...inputs, new_rate: String(baseRateForTerm(parseFloat(inputs.new_term || 30), r30, r15)) };
+  }
+  return SCENARIO_KINDS[kind].compute(query);
+}
+
+// Saved vs. current value of each tracked metric, with a sentence for the client
+function scenarioChanges(kind, saved, current) {
+  const at = (obj, field) => field.split(".").reduce((o, key) => o == null ? undefined : o[key], obj);
+  return SCENARIO_KINDS[kind].metrics.flatMap(([field, label, format]) => {
+    const before = at(saved, field), after = at(current, field);
+    if (typeof before !== "number" || typeof after !== "number") return [];
+    const change    = +(after - before).toFixed(format === "money" ? 2 : 3);
+    const direction = Math.abs(change) < CHANGE_EPSILON[format] ? "unchanged" : change < 0 ? "lower" : "higher";
+    const message   = direction === "unchanged" ? `${label} is unchanged` : `${label} is now ${CHANGE_FORMATS[format](Math.abs(change))} ${direction}`;
+    return [{ field, label, before, after, change, direction, message }];
+  });
+}
+
+// Remove expired scenarios; returns { purged }
+async function purgeScenarios() {
+  const purged = await scenarioTransaction(scenarios => {
+    const before = scenarios.length;
+    scenarios.splice(0, scenarios.length, ...scenarios.filter(s => !isExpired(s)));
+    return before - scenarios.length;
+  });
+  return { purged };
+}
+
+app.post("/api/scenarios", async (req, res) => {
   try {
-    const { email, targetRate, loanType="30yr", state="national", name="" } = req.body;
-    if (!email || !email.includes("@")) return res.status(400).json({ error:"Valid email required" });
-    if (!targetRate || isNaN(parseFloat(targetRate))) return res.status(400).json({ error:"Target rate required (e.g. 6.5)" });
-
-    const alerts  = loadAlerts();
-    const exists  = alerts.find(a => a.email === email && a.loanType === loanType);
-    if (exists) {
-      exists.targetRate = parseFloat(targetRate);
-      exists.updatedAt  = new Date().toISOString();
-      saveAlerts(alerts);
-      return res.json({ success:true, message:"Alert updated", email, targetRate:parseFloat(targetRate) });
-    }
-
-    const token = makeToken(email);
-    const alert = {
-      id:         Date.now(),
-      email,
-      name:       name || email.split("@")[0],
-      targetRate: parseFloat(targetRate),
-      loanType,
-      state,
-      token,
-      triggered:  false,
-      createdAt:  new Date().toISOString(),
-      updatedAt:  new Date().toISOString(),
-    };
-    alerts.push(alert);
-    saveAlerts(alerts);
-
-    // Send confirmation email
-    if (HAS_SMTP) {
-      const unsubUrl = `https://mortgagewise-production.up.railway.app/api/alerts/verify?token=${token}&action=unsubscribe`;
-      await mailer.sendMail({
-        from:    `"RateCroft Alerts" <${SMTP_USER}>`,
-        to:      email,
-        subject: `✅ Rate Alert Set — Notify me when ${loanType} hits ${targetRate}%`,
-        html: `
-          <div style="font-family:sans-serif;max-width:520px;margin:0 auto;padding:24px">
-            <h2 style="color:#0a2540">🏠 RateCroft Rate Alert Confirmed</h2>
-            <p>Hi ${alert.name},</p>
-            <p>We'll email you when the <strong>${loanType} fixed mortgage rate</strong> drops to <strong>${targetRate}%</strong> or below.</p>
-            <div style="background:#f1f5f9;border-radius:10px;padding:18px;margin:20px 0">
-              <strong>Your Alert:</strong><br>
-              📊 Loan Type: ${loanType}<br>
-              🎯 Target Rate: ${targetRate}%<br>
-              📍 Market: ${state === "national" ? "National Average" : state}
-            </div>
-            <p style="font-size:12px;color:#64748b">
-              <a href="${unsubUrl}" style="color:#64748b">Unsubscribe</a> · RateCroft.com · Data: Federal Reserve
-            </p>
-          </div>`,
-      });
-    }
+    const { kind, label = null, expiresInDays } = req.body;
+    // Inputs are the route's query string, so scalars are kept as strings
+    const inputs  = Object.fromEntries(Object.entries(req.body.inputs || {}).map(([k, v]) => [k, v !== null && typeof v === "object" ? v : String(v)]));
+    const spec    = loadSpec();
+    const params  = matchOperation(spec, "GET", SCENARIO_KINDS[kind].path).parameters.filter(p => p.name !== "format");
+    const details = queryErrors(spec, params, inputs, "body.inputs");
+    if (details.length) return res.status(400).json({ error: "Invalid request", code: "validation_failed", details });
 
-    res.json({ success:true, message:"Alert created! You'll be notified when rates hit your target.", email, targetRate:parseFloat(targetRate), token });
-  } catch(err) {
-    console.error("subscribe error:", err.message);
+    const result = await runScenario(kind, inputs);
+    if (result.error) return res.status(400).json(result);
+
+    const now      = Date.now();
+    const scenario = await scenarioTransaction(scenarios => {
+      const record = {
+        id:        newScenarioId(new Set(scenarios.map(s => s.id))),
+        kind, label, inputs,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresInDays ? new Date(now + parseFloat(expiresInDays) * 86400000).toISOString() : null,
+        result,
+      };
+      scenarios.push(record);
+      return record;
+    });
+    res.status(201).json({ ...publicScenario(scenario), deleteToken: scenarioToken(scenario.id) });
+  } catch (err) {
+    console.error("scenario save error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/alerts/verify", (req, res) => {
-  const { token, action } = req.query;
-  if (action === "unsubscribe") {
-    const alerts  = loadAlerts();
-    const before  = alerts.length;
-    const updated = alerts.filter(a => a.token !== token);
-    saveAlerts(updated);
-    const removed = before - updated.length;
-    res.send(`<html><body style="font-family:sans-serif;text-align:center;padding:60px">
-      <h2>✅ Unsubscribed</h2>
-      <p>${removed > 0 ? "You've been removed from RateCroft rate alerts." : "Alert not found — may already be removed."}</p>
-      <a href="https://ratecroft.com">← Back to RateCroft</a>
-    </body></html>`);
-  } else {
-    res.status(400).send("Unknown action");
-  }
-});
-
-app.delete("/api/alerts/unsubscribe", (req, res) => {
-  const { email, token } = req.query;
-  const alerts  = loadAlerts();
-  const updated = alerts.filter(a => !(a.email === email && a.token === token));
-  saveAlerts(updated);
-  res.json({ success:true, removed: alerts.length - updated.length });
-});
-
-// Internal endpoint — call this from a daily cron job or scheduler
-// POST /api/alerts/trigger  (no auth needed — Railway can call it via cron)
-app.post("/api/alerts/trigger", async (req, res) => {
-  try {
-    const r30  = await fetchFredSeries(FRED_SERIES.rate_30yr);
-    const r15  = await fetchFredSeries(FRED_SERIES.rate_15yr);
-    const rArm = { value: +(r30.value - 0.55).toFixed(2) };
-
-    const currentRates = { "30yr": r30.value, "15yr": r15.value, "arm51": rArm.value };
-    const alerts    = loadAlerts();
-    const triggered = [];
-    let   emailsSent = 0;
-
-    for (const alert of alerts) {
-      const current = currentRates[alert.loanType] || r30.value;
-      if (current <= alert.targetRate && !alert.triggered) {
-        alert.triggered    = true;
-        alert.triggeredAt  = new Date().toISOString();
-        alert.triggeredRate = current;
-        triggered.push(alert);
-
-        if (HAS_SMTP) {
-          const unsubUrl = `https://mortgagewise-production.up.railway.app/api/alerts/verify?token=${alert.token}&action=unsubscribe`;
-          try {
-            await mailer.sendMail({
-              from:    `"RateCroft Alerts" <${SMTP_USER}>`,
-              to:      alert.email,
-              subject: `🔔 Rate Alert: ${alert.loanType} is now ${current}% — Your target reached!`,
-              html: `
-                <div style="font-family:sans-serif;max-width:520px;margin:0 auto;padding:24px">
-                  <h2 style="color:#0a2540">🎉 Your Rate Target Was Hit!</h2>
-                  <p>Hi ${alert.name},</p>
-                  <p>The <strong>${alert.loanType} mortgage rate</strong> has dropped to <strong>${current}%</strong> — below your target of <strong>${alert.targetRate}%</strong>.</p>
-                  <div style="background:#e6f9f7;border-radius:10px;padding:18px;margin:20px 0;border-left:4px solid #00b8a0">
-                    <strong>🎯 Rate Alert Triggered</strong><br><br>
-                    Current Rate: <strong style="font-size:24px;color:#0a2540">${current}%</strong><br>
-                    Your Target: ${alert.targetRate}%<br>
-                    Loan Type: ${alert.loanType}
-                  </div>
-                  <p><strong>Act quickly</strong> — rates can change week to week. Lock your rate now by comparing lenders:</p>
-                  <a href="https://ratecroft.com/todays-rates.html" style="display:inline-block;background:#00b8a0;color:white;padding:12px 24px;border-radius:8px;text-decoration:none;font-weight:700">Compare Lenders Now →</a>
-                  <p style="font-size:12px;color:#64748b;margin-top:24px">
-                    <a href="${unsubUrl}" style="color:#64748b">Unsubscribe</a> · RateCroft.com
-                  </p>
-                </div>`,
-            });
-            emailsSent++;
-          } catch(mailErr) {
-            console.error("mail send failed:", mailErr.message);
-          }
-        }
-      }
-    }
+app.get("/api/scenarios/:id", async (req, res) => {
+  try {
+    const scenario = loadScenarios().find(s => s.id === req.params.id);
+    if (!scenario) return res.status(404).json({ error: "Scenario not found" });
+    if (isExpired(scenario)) return res.status(410).json({ error: "Scenario has expired", expiredAt: scenario.expiresAt });
+    if (req.query.refresh !== "true") return res.json(publicScenario(scenario));
 
-    saveAlerts(alerts);
-    res.json({
-      success: true,
-      currentRates,
-      totalAlerts:     alerts.length,
-      triggered:       triggered.length,
-      emailsSent,
-      timestamp:       new Date().toISOString(),
+    // Inputs that no longer run (say, a program was removed) still show the saved result
+    const current = await runScenario(scenario.kind, scenario.inputs).catch(err => ({ error: err.message }));
+    const refresh = current.error
+      ? { refreshedAt: new Date().toISOString(), current: null, refreshError: current.error }
+      : { refreshedAt: new Date().toISOString(), current, changes: scenarioChanges(scenario.kind, scenario.result, current) };
+    res.json({ ...publicScenario(scenario), ...refresh });
+  } catch (err) {
+    console.error("scenario error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/scenarios/:id", async (req, res) => {
+  try {
+    if (!validScenarioToken(req.params.id, req.query.token)) return res.status(401).json({ error: "Invalid delete token" });
+    const removed = await scenarioTransaction(scenarios => {
+      const i = scenarios.findIndex(s => s.id === req.params.id);
+      return i === -1 ? null : scenarios.splice(i, 1)[0];
     });
-  } catch(err) {
+    if (!removed) return res.status(404).json({ error: "Scenario not found" });
+    res.json({ success: true, id: removed.id });
+  } catch (err) {
+    console.error("scenario delete error:", err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/alerts/count — show how many alerts are active (public, for social proof)
-app.get("/api/alerts/count", (req, res) => {
-  const alerts = loadAlerts();
-  res.json({ count: alerts.length, active: alerts.filter(a=>!a.triggered).length });
+// ─────────────────────────────────────────────
+// SCHEDULER
+// Cron jobs from config/schedule.json (SCHEDULE_FILE): alert checks,
+// weekly digests, FRED cache warming and expired-scenario cleanup. A
+// lock file per job (or shared `lock`) stops overlapping runs, including
+// across instances sharing LOCK_DIR. Every run is appended to JOB_HISTORY_FILE.
+// GET  /api/admin/jobs           — jobs, schedules, next and last runs
+// GET  /api/admin/jobs/runs      — run history (?job=&limit=)
+// POST /api/admin/jobs/:name/run — run a job now
+// ─────────────────────────────────────────────
+const SCHEDULE_FILE    = process.env.SCHEDULE_FILE    || path.join(__dirname, "config", "schedule.json");
+const LOCK_DIR         = process.env.LOCK_DIR         || path.join(__dirname, ".locks");
+const JOB_HISTORY_FILE = process.env.JOB_HISTORY_FILE || path.join(__dirname, "job-runs.jsonl");
+const LOCK_STALE_MS    = 30 * 60 * 1000;  // an untouched lock this old belongs to a crashed run
+const LOCK_TOUCH_MS    = 60 * 1000;       // a running job refreshes its lock's mtime this often
+const JOB_HISTORY_KEEP = 500;
+
+// Refresh every series so requests are served from a warm cache
+async function warmCache() {
+  const results = await Promise.allSettled(Object.values(FRED_SERIES).map(id => refreshSeries(id)));
+  const ok      = results.filter(r => r.status === "fulfilled").map(r => r.value);
+  return { series: results.length, refreshed: ok.length, stale: ok.filter(r => r.stale).length, failed: results.length - ok.length };
+}
+
+const JOBS = {
+  "alerts":          { description: "Evaluate target, drop and weekly-move alerts", lock: "alerts-store", run: () => evaluateAlerts({ rules: ["target", "drop", "weekly_move"] }) },
+  "digests":         { description: "Send weekly rate digests",                      lock: "alerts-store", run: () => evaluateAlerts({ rules: ["digest"] }) },
+  "warm-cache":      { description: "Refresh every FRED series into the cache",                            run: warmCache },
+  "purge-scenarios": { description: "Delete expired saved scenarios",                                      run: purgeScenarios },
+};
+
+const heldLocks = new Set();  // tokens of the locks this process holds
+
+// Lock file contents ({ pid, host, token, at }), or null if missing / unreadable
+function readLock(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); } catch { return null; }
+}
+
+// Whether a lock's owner is still running: true / false on this host,
+// null when it can't be told (another instance) and only the mtime counts
+function lockOwnerAlive(holder) {
+  if (!holder || holder.host !== os.hostname()) return null;
+  if (holder.pid === process.pid) return heldLocks.has(holder.token);
+  try { process.kill(holder.pid, 0); return true; } catch (err) { return err.code === "EPERM"; }
+}
+
+function lockIsLive(file, holder) {
+  const alive = lockOwnerAlive(holder);
+  if (alive !== null) return alive;
+  try { return Date.now() - fs.statSync(file).mtimeMs < LOCK_STALE_MS; } catch { return false; }
+}
+
+// Take a lock file; returns a release function, or null if another run holds it.
+// The lock is touched while held and only removed by the run whose token it carries.
+function acquireLock(name) {
+  fs.mkdirSync(LOCK_DIR, { recursive: true });
+  const file  = path.join(LOCK_DIR, `${name}.lock`);
+  const token = crypto.randomUUID();
+  try {
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, host: os.hostname(), token, at: new Date().toISOString() }), { flag: "wx" });
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    const holder = readLock(file);
+    if (lockIsLive(file, holder)) return null;
+    // Steal only the lock we judged stale, not one another instance just took
+    if (readLock(file)?.token === holder?.token) fs.rmSync(file, { force: true });
+    return acquireLock(name);
+  }
+  heldLocks.add(token);
+  const ours  = () => readLock(file)?.token === token;
+  const touch = setInterval(() => {
+    try { if (ours()) fs.utimesSync(file, new Date(), new Date()); } catch (err) { console.error(`lock ${name} touch error:`, err.message); }
+  }, LOCK_TOUCH_MS);
+  touch.unref();
+  return () => {
+    clearInterval(touch);
+    heldLocks.delete(token);
+    if (ours()) fs.rmSync(file, { force: true });
+  };
+}
+
+function isLocked(name) {
+  const file = path.join(LOCK_DIR, `${name}.lock`);
+  return fs.existsSync(file) && lockIsLive(file, readLock(file));
+}
+
+function readJobHistory() {
+  try { return fs.readFileSync(JOB_HISTORY_FILE, "utf8").trim().split("\n").filter(Boolean); }
+  catch { return []; }
+}
+
+// Recent runs, newest last — seeded from the history file at boot
+const jobRuns = readJobHistory().slice(-JOB_HISTORY_KEEP).map(line => JSON.parse(line));
+let jobHistoryLines = readJobHistory().length;
+
+// Cut the file back to the last JOB_HISTORY_KEEP runs. It is re-read
+// rather than rewritten from memory so runs other instances appended stay.
+function compactJobHistory() {
+  const kept = readJobHistory().slice(-JOB_HISTORY_KEEP);
+  const tmp  = `${JOB_HISTORY_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, kept.map(line => line + "\n").join(""));
+  fs.renameSync(tmp, JOB_HISTORY_FILE);
+  jobHistoryLines = kept.length;
+}
+
+function recordRun(run) {
+  jobRuns.push(run);
+  if (jobRuns.length > JOB_HISTORY_KEEP) jobRuns.shift();
+  fs.appendFileSync(JOB_HISTORY_FILE, JSON.stringify(run) + "\n");
+  // Compacting at twice the limit keeps the file bounded without a rewrite per run
+  if (++jobHistoryLines > JOB_HISTORY_KEEP * 2) compactJobHistory();
+}
+
+// Run a job under its lock and record the outcome: success, failed or skipped
+async function runJob(name, trigger = "schedule") {
+  const job     = JOBS[name];
+  const run     = { id: crypto.randomUUID(), job: name, trigger, startedAt: new Date().toISOString() };
+  const release = acquireLock(job.lock || name);
+  if (!release) {
+    run.outcome = "skipped";
+    run.error   = `${name} skipped — a run holding the "${job.lock || name}" lock is still in progress`;
+  } else {
+    try {
+      run.counts  = await job.run();
+      run.outcome = "success";
+    } catch (err) {
+      run.outcome = "failed";
+      run.error   = err.message;
+      console.error(`job ${name} failed:`, err.message);
+    } finally {
+      release();
+    }
+  }
+  run.endedAt    = new Date().toISOString();
+  run.durationMs = Date.parse(run.endedAt) - Date.parse(run.startedAt);
+  recordRun(run);
+  return run;
+}
+
+function loadSchedule() {
+  return loadConfig(SCHEDULE_FILE);
+}
+
+const scheduled = {};  // job name → node-cron task
+
+// Schedule every enabled job; invalid entries fail at boot
+function startScheduler() {
+  const { timezone, jobs } = loadSchedule();
+  for (const [name, entry] of Object.entries(jobs)) {
+    if (!JOBS[name]) throw new Error(`Unknown job "${name}" in ${SCHEDULE_FILE}. Valid: ${Object.keys(JOBS).join(", ")}`);
+    if (!cron.validate(entry.cron)) throw new Error(`Invalid cron expression for ${name}: "${entry.cron}"`);
+    if (entry.enabled === false) continue;
+    scheduled[name] = cron.schedule(entry.cron, () => runJob(name), { timezone, name });
+  }
+  console.log(`⏰ Scheduler: ${Object.keys(scheduled).map(n => `${n} (${jobs[n].cron})`).join(", ") || "no jobs enabled"}`);
+}
+
+app.get("/api/admin/jobs", requireAdmin, (req, res) => {
+  const { timezone, jobs } = loadSchedule();
+  res.json({
+    timezone,
+    scheduler: Object.keys(scheduled).length > 0,
+    jobs: Object.entries(JOBS).map(([name, job]) => {
+      const last = [...jobRuns].reverse().find(r => r.job === name);
+      return {
+        name,
+        description: job.description,
+        cron:        jobs[name] ? jobs[name].cron : null,
+        enabled:     !!scheduled[name],
+        nextRun:     scheduled[name] ? scheduled[name].getNextRun() : null,
+        running:     isLocked(job.lock || name),
+        lastRun:     last || null,
+      };
+    }),
+  });
+});
+
+app.get("/api/admin/jobs/runs", requireAdmin, (req, res) => {
+  const { job, limit = 50 } = req.query;
+  const runs = jobRuns.filter(r => !job || r.job === job).slice(-Math.min(parseInt(limit) || 50, JOB_HISTORY_KEEP)).reverse();
+  res.json({ count: runs.length, runs });
+});
+
+app.post("/api/admin/jobs/:name/run", requireAdmin, async (req, res) => {
+  if (!JOBS[req.params.name]) return res.status(404).json({ error: "Unknown job", valid: Object.keys(JOBS) });
+  const run = await runJob(req.params.name, "manual");
+  res.status(run.outcome === "skipped" ? 409 : run.outcome === "failed" ? 500 : 200).json(run);
+});
+
+// ─────────────────────────────────────────────
+// FALLBACK HANDLERS
+// ─────────────────────────────────────────────
+app.use((req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}`, docs: "/api/openapi.json" });
+});
+
+// Malformed JSON bodies, and anything a handler let escape
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Request body is not valid JSON", code: "invalid_json" });
+  if (err.type === "entity.too.large")    return res.status(413).json({ error: "Request body is too large" });
+  console.error(`${req.method} ${req.path} error:`, err.message);
+  res.status(500).json({ error: err.message });
 });
 
 // ─────────────────────────────────────────────
 // START
+// `node server.js` serves (or backfills); required from test/, nothing
+// starts and the pieces the tests exercise are exported.
 // ─────────────────────────────────────────────
+module.exports = {
+  app,
+  syncSeries, getObservations,
+  actuarialApr, programApr, monthlyPayment,
+  borrowerFrom, priceAdjustments, adjustmentSummary, loanLimitsFor,
+  signToken, verifyToken,
+  isPrivateAddress, webhookHostError, alertChannelFrom,
+  alertTransaction, loadAlerts, csvCell,
+  acquireLock, isLocked, recordRun,
+  calculateLoan, affordability, refinanceComparison, lenderQuotes,
+};
+
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`\n🏠 RateCroft API  →  http://0.0.0.0:${PORT}`);
-  console.log(`📡 Mode: ${HAS_KEY ? "LIVE (FRED API)" : "FALLBACK (no FRED key)"}\n`);
-});
+if (require.main === module) {
+  if (process.argv.includes("--backfill")) {
+    console.log(`📥 Backfilling FRED series since ${BACKFILL_START} → ${STORE_DIR}`);
+    backfillAll()
+      .then(() => process.exit(0))
+      .catch(err => { console.error("backfill failed:", err.message); process.exit(1); });
+  } else {
+    // SCHEDULER_ENABLED=false when several instances share one alerts file and only one should run jobs
+    if (process.env.SCHEDULER_ENABLED !== "false") startScheduler();
+    app.listen(PORT, "0.0.0.0", () => {
+      console.log(`\n🏠 RateCroft API  →  http://0.0.0.0:${PORT}`);
+      console.log(`📡 Mode: ${HAS_KEY ? "LIVE (FRED API)" : "FALLBACK (no FRED key)"}\n`);
+    });
+  }
+}
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const fs       = require("fs");
+const path     = require("path");
+const { dataDir, loadServer } = require("./helpers");
+
+// A pre-versioning store: bare array, numeric ids, one duplicate email + loan type
+const ALERTS_FILE = path.join(dataDir, "alerts.json");
+fs.writeFileSync(ALERTS_FILE, JSON.stringify([
+  { id: 1, email: "Ann@Example.com", loanType: "30yr", targetRate: 6,   createdAt: "2025-01-01T00:00:00Z" },
+  { id: 2, email: "ann@example.com", loanType: "30yr", targetRate: 5.5, createdAt: "2025-02-01T00:00:00Z" },
+  { id: 3, email: "bob@example.com", loanType: "15yr", targetRate: 5,   createdAt: "2025-01-15T00:00:00Z" },
+]));
+
+const { alertTransaction, loadAlerts, csvCell } = loadServer({ ALERTS_FILE });
+const alert = (email, loanType = "30yr") => ({ id: `${email}-${loanType}`, email, loanType, rule: "target", status: "active", targetRate: 6 });
+
+test("loading migrates a legacy store, keeping a backup and the newest duplicate", () => {
+  const doc = JSON.parse(fs.readFileSync(ALERTS_FILE, "utf8"));
+  assert.equal(doc.schemaVersion, 2);
+  assert.deepEqual(doc.alerts.map(a => [a.legacyId, a.email, a.rule, a.status]), [[2, "ann@example.com", "target", "active"], [3, "bob@example.com", "target", "active"]]);
+  assert.ok(doc.alerts.every(a => /^[0-9a-f-]{36}$/.test(a.id)));
+  assert.equal(JSON.parse(fs.readFileSync(`${ALERTS_FILE}.v0.bak`, "utf8")).length, 3);
+});
+
+test("concurrent transactions are applied one after another", async () => {
+  const emails = Array.from({ length: 20 }, (_, i) => `user${i}@example.com`);
+  await Promise.all(emails.map(async email => alertTransaction(async alerts => {
+    const seen = alerts.length;
+    await new Promise(resolve => setTimeout(resolve, 1));
+    assert.equal(alerts.length, seen, "no other write landed mid-transaction");
+    alerts.push(alert(email));
+  })));
+  const stored = loadAlerts().map(a => a.email);
+  assert.ok(emails.every(email => stored.includes(email)));
+});
+
+test("a failing transaction saves nothing and does not block the queue", async () => {
+  const before = fs.readFileSync(ALERTS_FILE, "utf8");
+  await assert.rejects(alertTransaction(alerts => { alerts.length = 0; throw new Error("boom"); }), /boom/);
+  assert.equal(fs.readFileSync(ALERTS_FILE, "utf8"), before);
+
+  const count = await alertTransaction(alerts => alerts.length);
+  assert.equal(count, loadAlerts().length);
+});
+
+test("writes that would duplicate email + loan type are refused", async () => {
+  await assert.rejects(alertTransaction(alerts => { alerts.push(alert("bob@example.com", "15yr")); }), err => err.code === "ALERT_CONFLICT");
+  assert.equal(loadAlerts().filter(a => a.email === "bob@example.com").length, 1);
+});
+
+test("CSV cells neutralise formulas but leave negative numbers alone", () => {
+  assert.equal(csvCell("=HYPERLINK(\"http://x\")"), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(csvCell("+1"), "'+1");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("-2+3"), "'-2+3");
+  assert.equal(csvCell(-0.25), "-0.25");
+  assert.equal(csvCell("a,b"), '"a,b"');
+  assert.equal(csvCell(null), "");
+});
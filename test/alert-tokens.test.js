@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const crypto   = require("crypto");
+const { loadServer } = require("./helpers");
+
+const { signToken, verifyToken } = loadServer({ CONFIRM_TTL_HOURS: "48" });
+const HOUR = 3600 * 1000;
+
+test("a token verifies for its own purpose and carries the email and alert id", () => {
+  const data = verifyToken(signToken("manage", "ann@example.com", "a1"), "manage");
+  assert.equal(data.e, "ann@example.com");
+  assert.equal(data.id, "a1");
+});
+
+test("a token signed for one purpose is refused for another", () => {
+  const token = signToken("unsubscribe", "ann@example.com", "a1");
+  assert.equal(verifyToken(token, "manage"), null);
+  assert.equal(verifyToken(token, "confirm"), null);
+});
+
+test("edited payloads and foreign signatures are refused", () => {
+  const [payload, sig] = signToken("manage", "ann@example.com", "a1").split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), e: "eve@example.com" })).toString("base64url");
+  assert.equal(verifyToken(`${forged}.${sig}`, "manage"), null);
+
+  const otherKey = crypto.createHmac("sha256", "another-secret").update(payload).digest("base64url");
+  assert.equal(verifyToken(`${payload}.${otherKey}`, "manage"), null);
+  assert.equal(verifyToken(`${payload}.${sig.slice(0, -4)}`, "manage"), null);
+});
+
+test("malformed tokens are refused without throwing", () => {
+  for (const token of [undefined, "", "abc", "abc.", ".abc", "not-json.sig"]) assert.equal(verifyToken(token, "manage"), null);
+});
+
+test("tokens expire after their purpose's lifetime", t => {
+  const now   = Date.now();
+  const token = signToken("confirm", "ann@example.com", "a1");
+  t.mock.method(Date, "now", () => now + 47 * HOUR);
+  assert.ok(verifyToken(token, "confirm"));
+  Date.now.mock.mockImplementation(() => now + 49 * HOUR);
+  assert.equal(verifyToken(token, "confirm"), null);
+
+  // Manage links last a week, unsubscribe links 90 days
+  Date.now.mock.mockImplementation(() => now);
+  const manage = signToken("manage", "ann@example.com", "a1");
+  const unsub  = signToken("unsubscribe", "ann@example.com", "a1");
+  Date.now.mock.mockImplementation(() => now + 8 * 24 * HOUR);
+  assert.equal(verifyToken(manage, "manage"), null);
+  assert.ok(verifyToken(unsub, "unsubscribe"));
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const { loadServer } = require("./helpers");
+
+const { actuarialApr, programApr, monthlyPayment } = loadServer();
+
+test("a level-payment loan with no finance charges discloses its note rate", () => {
+  // $5,000 over 36 months at 1% a month is $166.07
+  const apr = actuarialApr({ amountFinanced: 5000, payments: Array(36).fill(166.07) });
+  assert.ok(Math.abs(apr - 12) < 0.01, `apr ${apr}`);
+
+  const payment = monthlyPayment(300000, 6.5, 30);
+  assert.equal(actuarialApr({ amountFinanced: 300000, payments: Array(360).fill(payment) }), 6.5);
+});
+
+test("odd days before the first payment lower the APR for the same stream", () => {
+  const payments = Array(36).fill(166.07);
+  const regular  = actuarialApr({ amountFinanced: 5000, payments });
+  const long     = actuarialApr({ amountFinanced: 5000, payments, oddDays: 15 });
+  assert.ok(long < regular, `${long} should be below ${regular}`);
+});
+
+test("payments that never cover the amount financed disclose 0", () => {
+  assert.equal(actuarialApr({ amountFinanced: 5000, payments: Array(12).fill(100) }), 0);
+});
+
+test("programApr matches the note rate without charges and rises with points and fees", () => {
+  const loan = { baseLoan: 300000, value: 400000, rate: 6.5, term: 30 };
+  assert.equal(programApr({ ...loan, fees: 0 }), 6.5);
+
+  const withFees   = programApr(loan);
+  const withPoints = programApr({ ...loan, points: 1 });
+  assert.ok(withFees > 6.5, `fees: ${withFees}`);
+  assert.ok(withPoints > withFees, `points: ${withPoints}`);
+});
+
+test("FHA upfront and monthly premiums are finance charges", () => {
+  const fha = programApr({ loanType: "fha", baseLoan: 300000, value: 320000, rate: 6.5, term: 30, fees: 0 });
+  assert.ok(fha > 7, `fha ${fha}`);
+});
@@ -0,0 +1,52 @@
+// Loads server.js against a throwaway data directory, so tests never touch
+// the real alerts, scenarios or rate store and never reach FRED or SMTP.
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ratecroft-test-"));
+
+// `env` overrides the defaults below; call before anything else requires server.js
+function loadServer(env = {}) {
+  Object.assign(process.env, {
+    ALERTS_FILE:         path.join(dataDir, "alerts.json"),
+    SCENARIOS_FILE:      path.join(dataDir, "scenarios.json"),
+    API_KEYS_FILE:       path.join(dataDir, "api-keys.json"),
+    USAGE_FILE:          path.join(dataDir, "usage.json"),
+    JOB_HISTORY_FILE:    path.join(dataDir, "job-runs.jsonl"),
+    LOCK_DIR:            path.join(dataDir, "locks"),
+    RATE_STORE_DIR:      path.join(dataDir, "rate-store"),
+    RATE_RECORDINGS_DIR: path.join(dataDir, "rate-recordings"),
+    FRED_API_KEY:        "",
+    SMTP_USER:           "",
+    SMTP_PASS:           "",
+    ALERT_SECRET:        "test-secret",
+    SCHEDULER_ENABLED:   "false",
+  }, env);
+  // Request logging and boot banners drown the test report
+  console.log = () => {};
+  return require("../server");
+}
+
+// Serves the app on a free port; resolves { url, close }
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, "127.0.0.1", () => resolve({
+      url:   `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done)),
+    }));
+  });
+}
+
+// JSON request against a listening app; resolves { status, body }
+async function request(base, method, route, body) {
+  const res = await fetch(base + route, {
+    method,
+    headers: body === undefined ? {} : { "Content-Type": "application/json" },
+    body:    body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text && res.headers.get("content-type")?.includes("json") ? JSON.parse(text) : text };
+}
+
+module.exports = { dataDir, loadServer, listen, request };
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const fs       = require("fs");
+const os       = require("os");
+const path     = require("path");
+const { dataDir, loadServer } = require("./helpers");
+
+const { acquireLock, isLocked, recordRun } = loadServer();
+const LOCK_DIR         = path.join(dataDir, "locks");
+const JOB_HISTORY_FILE = path.join(dataDir, "job-runs.jsonl");
+
+// A lock file as another run would leave it, last touched `ageMs` ago
+const writeLock = (name, holder, ageMs = 0) => {
+  const file = path.join(LOCK_DIR, `${name}.lock`);
+  fs.mkdirSync(LOCK_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ token: "theirs", at: new Date().toISOString(), ...holder }));
+  const at = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, at, at);
+};
+
+test("a held lock refuses a second run until it is released", () => {
+  const release = acquireLock("alerts");
+  assert.equal(typeof release, "function");
+  assert.equal(isLocked("alerts"), true);
+  assert.equal(acquireLock("alerts"), null);
+  release();
+  assert.equal(isLocked("alerts"), false);
+  const again = acquireLock("alerts");
+  assert.ok(again);
+  again();
+});
+
+test("a lock left by a dead process on this host is taken over at once", () => {
+  writeLock("digest", { pid: 2 ** 22 + 1, host: os.hostname() });  // above Linux's pid_max
+  const release = acquireLock("digest");
+  assert.ok(release);
+  release();
+});
+
+test("another host's lock counts until it goes untouched for half an hour", () => {
+  writeLock("warm", { pid: 1, host: "other-host" }, 5 * 60 * 1000);
+  assert.equal(acquireLock("warm"), null);
+  writeLock("warm", { pid: 1, host: "other-host" }, 31 * 60 * 1000);
+  const release = acquireLock("warm");
+  assert.ok(release);
+  release();
+});
+
+test("releasing a lock another run has since taken leaves theirs in place", () => {
+  const release = acquireLock("purge");
+  writeLock("purge", { pid: 1, host: "other-host" });
+  release();
+  assert.equal(JSON.parse(fs.readFileSync(path.join(LOCK_DIR, "purge.lock"), "utf8")).token, "theirs");
+});
+
+test("the job history file is compacted to the last 500 runs once it doubles", () => {
+  for (let i = 0; i < 1001; i++) recordRun({ id: String(i), job: "alerts", outcome: "success" });
+  const lines = fs.readFileSync(JOB_HISTORY_FILE, "utf8").trim().split("\n");
+  assert.equal(lines.length, 500);
+  assert.equal(JSON.parse(lines[0]).id, "501");
+  assert.equal(JSON.parse(lines[499]).id, "1000");
+});
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const fs       = require("fs");
+const path     = require("path");
+const { dataDir, loadServer } = require("./helpers");
+
+// A small grid, so each assertion points at one cell
+const PRICING_FILE = path.join(dataDir, "pricing.json");
+fs.writeFileSync(PRICING_FILE, JSON.stringify({
+  ficoLtv: {
+    ltvMax: [60, 80, 95],
+    rows: [
+      { minScore: 760, adj: [-0.1, 0, 0.2] },
+      { minScore: 700, adj: [0.1, 0.25, 0.5] },
+      { minScore: 0,   adj: [0.8, 1.0, 1.3] },
+    ],
+  },
+  occupancy:    { primary: 0, investment: 0.625 },
+  propertyType: { single_family: 0, condo: 0.125 },
+  units:        { 1: 0, 2: 0.125 },
+  purpose:      { purchase: 0, refinance: 0.1, cashout: 0.3 },
+  cashoutLtv:   { ltvMax: [60, 80], adj: [0, 0.2] },
+  loanSize:     [{ max: 100000, adj: 0.25 }, { max: null, adj: 0 }],
+  state:        { CA: -0.03, default: 0.01 },
+}));
+
+const { borrowerFrom, priceAdjustments, adjustmentSummary } = loadServer({ PRICING_FILE });
+const adjustment = (b, name) => priceAdjustments(b).adjustments.find(a => a.name === name);
+
+test("the FICO × LTV cell is the first row the score reaches and the first band covering the LTV", () => {
+  const cell = q => adjustment(borrowerFrom(q), "fico_ltv").value;
+  assert.equal(cell({ creditScore: "780", price: "400000", down: "200000" }), -0.1);  // 50% LTV
+  assert.equal(cell({ creditScore: "760", price: "400000", down: "80000" }),  0);     // 80% sits on the band edge
+  assert.equal(cell({ creditScore: "759", price: "400000", down: "80000" }),  0.25);
+  assert.equal(cell({ creditScore: "600", price: "400000", down: "10000" }),  1.3);   // above the last band
+});
+
+test("cash-out adds its own LTV band on top of the purpose adjuster", () => {
+  const b = borrowerFrom({ purpose: "cashout", price: "400000", down: "120000" });  // 70% LTV
+  assert.equal(adjustment(b, "purpose").value, 0.3);
+  assert.equal(adjustment(b, "cashout_ltv").value, 0.2);
+  assert.equal(adjustment(borrowerFrom({ purpose: "refinance" }), "cashout_ltv"), undefined);
+});
+
+test("small loans take the loan-size tier they fall under", () => {
+  assert.equal(adjustment(borrowerFrom({ price: "120000", down: "30000" }), "loan_size").value, 0.25);
+  assert.equal(adjustment(borrowerFrom({}), "loan_size").value, 0);
+});
+
+test("states without their own adjuster use the default, and national pricing has none", () => {
+  assert.equal(adjustment(borrowerFrom({ state: "ca" }), "state").value, -0.03);
+  assert.equal(adjustment(borrowerFrom({ state: "OH" }), "state").value, 0.01);
+  assert.equal(adjustment(borrowerFrom({ state: "national" }), "state"), undefined);
+});
+
+test("the total is the sum of the itemized adjustments", () => {
+  const b = borrowerFrom({ creditScore: "720", occupancy: "investment", propertyType: "condo", units: "2", state: "CA" });
+  const { total, adjustments } = priceAdjustments(b);
+  assert.equal(total, +(0.25 + 0.625 + 0.125 + 0.125 - 0.03).toFixed(3));
+  assert.equal(total, +adjustments.reduce((sum, a) => sum + a.value, 0).toFixed(3));
+});
+
+test("adjustmentSummary folds items into the lender-quotes shape", () => {
+  const b = borrowerFrom({ creditScore: "700", purpose: "cashout", price: "400000", down: "120000", state: "TX" });
+  assert.deepEqual(adjustmentSummary(priceAdjustments(b).adjustments), { state: 0.01, credit: 0.25, ltv: 0.2, purpose: 0.3 });
+});
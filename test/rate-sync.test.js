@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const axios    = require("axios");
+const { loadServer } = require("./helpers");
+
+// FRED is stubbed: every request is recorded and answered with two observations
+const calls = [];
+axios.get = async (url, { params, timeout }) => {
+  calls.push({ series: params.series_id, start: params.observation_start, timeout });
+  return { data: { observations: [{ date: params.observation_start, value: "5.00" }, { date: "2026-10-15", value: "6.10" }] } };
+};
+
+const { syncSeries, getObservations } = loadServer({ FRED_API_KEY: "test-key" });
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test("an empty store syncs only recent data on the request path, then backfills in the background", async () => {
+  await syncSeries("MORTGAGE30US");
+  assert.equal(calls.length, 1);
+  const [recent] = calls;
+  const years    = (Date.now() - Date.parse(recent.start)) / (365.25 * 86400000);
+  assert.ok(years > 10 && years < 12, `recent window starts ${recent.start}`);
+  assert.equal(recent.timeout, 10000);
+
+  await tick();
+  await tick();
+  const backfill = calls.find(c => c.start === "1950-01-01");
+  assert.ok(backfill, "full backfill was started");
+  assert.equal(backfill.timeout, 60000);
+  assert.equal(getObservations("MORTGAGE30US")[0].date, "1950-01-01");
+});
+
+test("a store with data syncs the last four weeks only, with no second backfill", async () => {
+  calls.length = 0;
+  await syncSeries("MORTGAGE30US");
+  await tick();
+  assert.deepEqual(calls.map(c => c.start), ["2026-09-17"]);
+});
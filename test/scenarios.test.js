@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert   = require("node:assert/strict");
+const { loadServer, listen, request } = require("./helpers");
+
+// No FRED key: every kind prices from the fallback rates, so refreshes are stable
+const { app } = loadServer();
+let server;
+before(async () => { server = await listen(app); });
+after(() => server.close());
+
+const KINDS = {
+  calculate:     { path: "/api/calculate",     inputs: { price: 400000, down: 80000, state: "CA" } },
+  quote:         { path: "/api/lender-quotes", inputs: { price: 400000, down: 80000, state: "TX", creditScore: 700 } },
+  affordability: { path: "/api/affordability", inputs: { annual_income: 120000, down_payment: 40000 } },
+  refinance:     { path: "/api/refinance",     inputs: { current_balance: 300000, current_rate: 7.5, new_rate: 6 } },
+};
+
+// Quotes stamp the time they were generated
+const stable = result => ({ ...result, updatedAt: undefined });
+
+for (const [kind, { path, inputs }] of Object.entries(KINDS)) {
+  test(`a ${kind} scenario saves what ${path} returns, refreshes unchanged and deletes with its token`, async () => {
+    const saved = await request(server.url, "POST", "/api/scenarios", { kind, label: "mine", inputs });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+    const { id, deleteToken } = saved.body;
+
+    const live = await request(server.url, "GET", `${path}?${new URLSearchParams(inputs)}`);
+    assert.equal(live.status, 200);
+    assert.deepEqual(stable(saved.body.saved), stable(live.body));
+
+    const refreshed = await request(server.url, "GET", `/api/scenarios/${id}?refresh=true`);
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.refreshError, undefined);
+    assert.deepEqual(stable(refreshed.body.current), stable(saved.body.saved));
+    assert.ok(refreshed.body.changes.length > 0);
+    assert.ok(refreshed.body.changes.every(c => c.direction === "unchanged"), JSON.stringify(refreshed.body.changes));
+
+    assert.equal((await request(server.url, "DELETE", `/api/scenarios/${id}?token=${deleteToken.slice(1)}x`)).status, 401);
+    assert.equal((await request(server.url, "DELETE", `/api/scenarios/${id}?token=${deleteToken}`)).status, 200);
+    assert.equal((await request(server.url, "GET", `/api/scenarios/${id}`)).status, 404);
+  });
+}
+
+test("a refinance saved without new_rate is priced at today's rate and still refreshes", async () => {
+  const saved = await request(server.url, "POST", "/api/scenarios", { kind: "refinance", inputs: { current_balance: 300000, current_rate: 7.5 } });
+  assert.equal(saved.status, 201, JSON.stringify(saved.body));
+  assert.equal(typeof saved.body.saved.inputs.current_balance, "number");
+  assert.equal(typeof saved.body.saved.lifetime.net_savings_after_costs, "number");
+
+  const refreshed = await request(server.url, "GET", `/api/scenarios/${saved.body.id}?refresh=true`);
+  assert.equal(refreshed.body.current.inputs.new_rate, saved.body.saved.inputs.new_rate);
+});
+
+test("a saved quote keeps the lender-quotes adjustments shape", async () => {
+  const saved = await request(server.url, "POST", "/api/scenarios", { kind: "quote", inputs: KINDS.quote.inputs });
+  const { adjustments, priceAdjustments, totalAdjustment } = saved.body.saved;
+  assert.deepEqual(Object.keys(adjustments).sort(), ["credit", "ltv", "purpose", "state"]);
+  assert.equal(totalAdjustment, +priceAdjustments.reduce((sum, a) => sum + a.value, 0).toFixed(3));
+});
+
+test("inputs the route would refuse are refused on save", async () => {
+  const res = await request(server.url, "POST", "/api/scenarios", { kind: "calculate", inputs: { price: 400000, down: 500000 } });
+  assert.equal(res.status, 400);
+  const bad = await request(server.url, "POST", "/api/scenarios", { kind: "affordability", inputs: { annual_income: "lots" } });
+  assert.equal(bad.body.error.code, "validation_failed");
+});
@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+const dns      = require("dns");
+const { loadServer } = require("./helpers");
+
+const { isPrivateAddress, webhookHostError, alertChannelFrom } = loadServer({ ALLOW_LOCAL_WEBHOOKS: "false" });
+
+// Names resolve through this table instead of the network
+const resolves = names => t => t.mock.method(dns.promises, "lookup", async host => {
+  if (!(host in names)) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: "ENOTFOUND" });
+  return names[host].map(address => ({ address, family: address.includes(":") ? 6 : 4 }));
+});
+
+test("loopback, RFC1918, link-local, CGNAT, ULA and unspecified addresses are private", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254",
+                         "100.64.0.1", "0.0.0.0", "::", "::1", "fc00::1", "fd12:3456::1", "fe80::1", "::ffff:10.0.0.5", "::ffff:127.0.0.1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("public addresses, including the edges of private ranges, are allowed", () => {
+  for (const address of ["8.8.8.8", "172.32.0.1", "100.128.0.1", "192.169.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("a hostname is refused if any of its addresses is private", async t => {
+  resolves({ "hooks.example.com": ["93.184.216.34"], "split.example.com": ["93.184.216.34", "10.0.0.7"] })(t);
+  assert.equal(await webhookHostError(new URL("https://hooks.example.com/x")), null);
+  assert.match(await webhookHostError(new URL("https://split.example.com/x")), /non-public 10\.0\.0\.7/);
+  assert.match(await webhookHostError(new URL("https://missing.example.com/x")), /does not resolve/);
+  assert.match(await webhookHostError(new URL("https://[::ffff:169.254.169.254]/x")), /non-public/);
+});
+
+test("alertChannelFrom requires https to a public host and issues webhook secrets", async t => {
+  resolves({ "hooks.example.com": ["93.184.216.34"], "metadata.example.com": ["169.254.169.254"] })(t);
+  assert.deepEqual(await alertChannelFrom({}), { channel: "email" });
+  assert.match((await alertChannelFrom({ channel: "webhook", webhookUrl: "http://hooks.example.com/x" })).error, /https/);
+  assert.match((await alertChannelFrom({ channel: "slack", webhookUrl: "https://metadata.example.com/x" })).error, /non-public/);
+  assert.match((await alertChannelFrom({ channel: "webhook", webhookUrl: "https://127.0.0.1/x" })).error, /non-public/);
+  assert.match((await alertChannelFrom({ channel: "webhook" })).error, /webhookUrl required/);
+
+  const hook = await alertChannelFrom({ channel: "webhook", webhookUrl: "https://hooks.example.com/x" });
+  assert.equal(hook.webhookUrl, "https://hooks.example.com/x");
+  assert.match(hook.webhookSecret, /^[0-9a-f]{48}$/);
+  assert.equal((await alertChannelFrom({ channel: "slack", webhookUrl: "https://hooks.example.com/x" })).webhookSecret, undefined);
+});